@@ -4,6 +4,11 @@
  */
 
 const https = require('https');
+const path = require('path');
+const Scheduler = require('./lib/scheduler');
+
+// נטען מ-settings.thresholds.requestTimeout בתחילת הריצה
+let requestTimeout = 10000;
 
 // ========================================
 // כל כותרות הספר ב-14 שפות
@@ -35,7 +40,7 @@ function matchesAnyTitle(text) {
 // ========================================
 // פונקציית fetch בסיסית
 // ========================================
-function fetchUrl(url, options = {}, timeout = 10000) {
+function fetchUrl(url, options = {}, timeout = requestTimeout) {
   return new Promise((resolve) => {
     const timer = setTimeout(() => resolve({ status: 'timeout', body: '' }), timeout);
     const opts = {
@@ -258,6 +263,16 @@ async function runAudiobookMonitor() {
   const fs = require('fs');
   const outputDir = './reports/output';
 
+  // הגדרות timeout ומקביליות מ-sites.json — ברירות מחדל אם הקובץ לא נקרא
+  let scheduler = new Scheduler();
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config', 'sites.json'), 'utf8'));
+    requestTimeout = config.settings.thresholds.requestTimeout || requestTimeout;
+    scheduler = Scheduler.fromConfig(config);
+  } catch(e) {
+    console.log(`⚠️ sites.json לא נטען: ${e.message}`);
+  }
+
   // כותב JSON ריק מיד — גם אם הכל קורס, הקובץ קיים
   const writeJson = (checked) => {
     try {
@@ -286,27 +301,35 @@ async function runAudiobookMonitor() {
   console.log(`📄 קובץ JSON נוצר (ריק)`);
 
   try {
-    for (const platform of PLATFORM_CHECKS) {
-      process.stdout.write(`  ${platform.emoji} ${platform.name.padEnd(18)}`);
+    // כל הפלטפורמות במקביל — התוצאות חוזרות בסדר של PLATFORM_CHECKS
+    const ordered = await scheduler.map(PLATFORM_CHECKS, p => Scheduler.hostOf(p.directUrl), async (platform) => {
+      const label = `  ${platform.emoji} ${platform.name.padEnd(18)}`;
+      let entry;
       try {
         const result = await platform.fn();
-        results.push({ ...platform, ...result, fn: undefined });
+        entry = { ...platform, ...result, fn: undefined };
         if (result.found) {
-          console.log(`✅ נמצא! ${result.books.length} ספר/ים`);
+          console.log(`${label}✅ נמצא! ${result.books.length} ספר/ים`);
           result.books.forEach(b => console.log(`     📘 ${b.title}`));
         } else if (result.status === 'timeout') {
-          console.log(`⏱️  timeout`);
+          console.log(`${label}⏱️  timeout`);
         } else if (result.status === 'error') {
-          console.log(`❌ שגיאת חיבור`);
+          console.log(`${label}❌ שגיאת חיבור`);
         } else {
-          console.log(`⏳ לא נמצא עדיין (HTTP ${result.status})`);
+          console.log(`${label}⏳ לא נמצא עדיין (HTTP ${result.status})`);
         }
       } catch(e) {
-        console.log(`❌ ${e.message}`);
-        results.push({ ...platform, found: false, status: 'exception', books: [], fn: undefined });
+        console.log(`${label}❌ ${e.message}`);
+        entry = { ...platform, found: false, status: 'exception', books: [], fn: undefined };
       }
+      results.push(entry);
       writeJson(results); // שומר אחרי כל פלטפורמה — גם אם נהרגים אחר כך
-    }
+      return entry;
+    }, platform => {
+      console.log(`  ${platform.emoji} ${platform.name.padEnd(18)}⏱️  דדליין הריצה עבר`);
+      return { ...platform, found: false, status: 'deadline', books: [], fn: undefined };
+    });
+    results.splice(0, results.length, ...ordered);
   } finally {
     // שמירה תמיד — גם אם קרסנו באמצע
     const found = results.filter(r => r.found);
@@ -13,17 +13,36 @@ const path = require('path');
 
 // Import test modules
 const SSLChecker = require('./tests/ssl-checker');
+const TLSAuditor = require('./tests/tls-auditor');
+const CertificateHistory = require('./tests/cert-history');
+const ContentHistory = require('./tests/content-history');
 const UptimeMonitor = require('./tests/uptime-monitor');
 const LinkValidator = require('./tests/link-validator');
+const DNSChecker = require('./tests/dns-checker');
+const DomainExpiryChecker = require('./tests/domain-expiry');
+const EmailAuthChecker = require('./tests/email-auth-checker');
+const ApiChecker = require('./tests/api-checker');
+const PerformanceBudget = require('./tests/performance-budget');
+const TransactionRunner = require('./tests/transaction-runner');
 const ReportGenerator = require('./reports/report-generator');
 const EmailSender = require('./reports/email-sender');
+const StateStore = require('./lib/state-store');
+const Scheduler = require('./lib/scheduler');
+const { collectDomains, collectRegistrableDomains } = require('./lib/domains');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const options = {
   ssl: args.includes('--ssl') || args.includes('--full-report') || args.length === 0,
+  tls: args.includes('--tls') || args.includes('--full-report') || args.length === 0,
+  dns: args.includes('--dns') || args.includes('--full-report') || args.length === 0,
+  domainExpiry: args.includes('--domain-expiry') || args.includes('--full-report') || args.length === 0,
+  emailAuth: args.includes('--email-auth') || args.includes('--full-report') || args.length === 0,
   uptime: args.includes('--uptime') || args.includes('--full-report') || args.length === 0,
   links: args.includes('--links') || args.includes('--full-report') || args.length === 0,
+  api: args.includes('--api') || args.includes('--full-report') || args.length === 0,
+  transactions: args.includes('--transactions') || args.includes('--full-report') || args.length === 0,
+  budget: args.includes('--budget') || args.includes('--full-report') || args.length === 0,
   fullReport: args.includes('--full-report') || args.length === 0,
   sendEmail: args.includes('--send-email'),
   verbose: args.includes('--verbose') || args.includes('-v')
@@ -37,6 +56,28 @@ function loadConfig() {
   return JSON.parse(fs.readFileSync(configPath, 'utf8'));
 }
 
+/**
+ * Create the store used to persist state between runs
+ */
+function createStateStore(config) {
+  return new StateStore({
+    dir: path.join(__dirname, config.settings.stateDir || 'reports/state')
+  });
+}
+
+let scheduler = null;
+
+/**
+ * Get the scheduler shared by every check in this run, so the concurrency
+ * limits and the deadline apply to the run as a whole
+ */
+function getScheduler(config) {
+  if (!scheduler) {
+    scheduler = Scheduler.fromConfig(config);
+  }
+  return scheduler;
+}
+
 /**
  * Get GitHub Actions run URL
  */
@@ -81,7 +122,9 @@ async function runSSLChecks(config) {
   
   const checker = new SSLChecker({
     warningDays: config.settings.thresholds.sslExpiryWarning,
-    criticalDays: config.settings.thresholds.sslExpiryCritical
+    criticalDays: config.settings.thresholds.sslExpiryCritical,
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config)
   });
   
   const sitesToCheck = config.sites.filter(site => site.checks && site.checks.ssl);
@@ -92,8 +135,101 @@ async function runSSLChecks(config) {
   }
   
   const results = await checker.checkMultipleSites(sitesToCheck);
+  
+  // Every declared domain (sites + vercelProjects) and its www/apex variant; site hosts
+  // were just checked by checkMultipleSites (which reports hostname mismatches), so skip them
+  const domainTargets = collectDomains(config, { sites: sitesToCheck }).filter(target => !target.siteId || !target.declared);
+  const domains = await checker.checkDomains(domainTargets);
+  const summary = checker.generateSummary(results, domains);
+  
+  console.log('');
+  results.forEach(result => console.log(checker.formatResult(result)));
+  domains.forEach(result => console.log(checker.formatResult(result)));
+  console.log('');
+  
+  // Compare with the certificates seen on previous runs
+  const tracking = config.settings.certificateTracking || {};
+  const history = new CertificateHistory({
+    store: createStateStore(config),
+    renewalWindowDays: tracking.renewalWindowDays,
+    expectedIssuers: tracking.expectedIssuers
+  });
+  summary.changes = history.track(results, sitesToCheck);
+  
+  if (summary.changes.length > 0) {
+    console.log('📜 Certificate changes since last run:');
+    summary.changes.forEach(change => console.log(history.formatChange(change)));
+    console.log('');
+  }
+  
+  if (summary.changes.some(change => change.status === 'critical')) {
+    summary.allHealthy = false;
+  }
+  
+  return summary;
+}
+
+/**
+ * Run TLS protocol and cipher audit
+ */
+async function runTLSAudit(config) {
+  console.log('🛡️ Starting TLS Protocol & Cipher Audit...');
+  console.log('─'.repeat(50));
+  
+  const auditor = new TLSAuditor({
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config)
+  });
+  
+  const sitesToCheck = config.sites.filter(site => site.checks && site.checks.ssl);
+  
+  if (sitesToCheck.length === 0) {
+    console.log('No sites configured for TLS audit');
+    return { allHealthy: true, details: [] };
+  }
+  
+  const results = await auditor.checkMultipleSites(sitesToCheck);
+  const summary = auditor.generateSummary(results);
+  
+  console.log('');
+  results.forEach(result => console.log(auditor.formatResult(result)));
+  console.log('');
+  
+  return summary;
+}
+
+/**
+ * Run DNS record verification
+ */
+async function runDNSChecks(config) {
+  console.log('🌐 Starting DNS Record Checks...');
+  console.log('─'.repeat(50));
+  
+  const dnsSettings = config.settings.dns || {};
+  const store = createStateStore(config);
+  const checker = new DNSChecker({
+    timeout: config.settings.thresholds.requestTimeout,
+    resolver: process.env.DNS_RESOLVER || dnsSettings.resolver,
+    compareAuthoritative: dnsSettings.compareAuthoritative,
+    authoritativePort: dnsSettings.authoritativePort,
+    expectations: DNSChecker.collectExpectations(config),
+    previous: store.load('dns-records', {}),
+    scheduler: getScheduler(config)
+  });
+  
+  const sitesToCheck = config.sites.filter(site => site.checks && site.checks.dns);
+  
+  if (sitesToCheck.length === 0) {
+    console.log('No sites configured for DNS checks');
+    return { allHealthy: true, details: [] };
+  }
+  
+  const targets = collectDomains(config, { sites: sitesToCheck, includeVariants: false });
+  const results = await checker.checkMultipleDomains(targets);
   const summary = checker.generateSummary(results);
   
+  store.save('dns-records', checker.buildSnapshot(results));
+  
   console.log('');
   results.forEach(result => console.log(checker.formatResult(result)));
   console.log('');
@@ -101,6 +237,127 @@ async function runSSLChecks(config) {
   return summary;
 }
 
+/**
+ * Run domain registration expiry checks
+ */
+async function runDomainExpiryChecks(config) {
+  console.log('📇 Starting Domain Registration Checks...');
+  console.log('─'.repeat(50));
+  
+  const checker = new DomainExpiryChecker({
+    warningDays: config.settings.thresholds.domainExpiryWarning,
+    criticalDays: config.settings.thresholds.domainExpiryCritical,
+    bootstrapUrl: process.env.RDAP_BOOTSTRAP_URL || (config.settings.rdap || {}).bootstrapUrl,
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config)
+  });
+  
+  const domains = collectRegistrableDomains(config);
+  
+  if (domains.length === 0) {
+    console.log('No domains configured for registration checks');
+    return { allHealthy: true, details: [] };
+  }
+  
+  const results = await checker.checkMultipleDomains(domains);
+  const summary = checker.generateSummary(results);
+  
+  console.log('');
+  results.forEach(result => console.log(checker.formatResult(result)));
+  console.log('');
+  
+  return summary;
+}
+
+/**
+ * Run email authentication (MX/SPF/DKIM/DMARC) audit
+ */
+async function runEmailAuthChecks(config) {
+  console.log('✉️ Starting Email Authentication Audit...');
+  console.log('─'.repeat(50));
+  
+  const checker = new EmailAuthChecker({
+    resolver: process.env.DNS_RESOLVER || (config.settings.dns || {}).resolver,
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config)
+  });
+  
+  const domains = config.emailDomains || [];
+  
+  if (domains.length === 0) {
+    console.log('No domains configured for email authentication checks');
+    return { allHealthy: true, details: [] };
+  }
+  
+  const results = await checker.checkMultipleDomains(domains);
+  const summary = checker.generateSummary(results);
+  
+  console.log('');
+  results.forEach(result => console.log(checker.formatResult(result)));
+  console.log('');
+  
+  return summary;
+}
+
+/**
+ * Run API endpoint checks
+ */
+async function runApiChecks(config) {
+  console.log('🔌 Starting API Checks...');
+  console.log('─'.repeat(50));
+  
+  const checker = new ApiChecker({
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config)
+  });
+  
+  const sitesToCheck = config.sites.filter(site => site.checks && site.checks.api && (site.apiChecks || []).length > 0);
+  
+  if (sitesToCheck.length === 0) {
+    console.log('No sites configured for API checks');
+    return { allHealthy: true, details: [] };
+  }
+  
+  const results = await checker.checkMultipleSites(sitesToCheck);
+  const summary = checker.generateSummary(results);
+  
+  console.log('');
+  results.forEach(result => console.log(checker.formatResult(result)));
+  console.log('');
+  
+  return summary;
+}
+
+/**
+ * Run multi-step transaction checks
+ */
+async function runTransactionChecks(config) {
+  console.log('🧭 Starting Transaction Checks...');
+  console.log('─'.repeat(50));
+  
+  const runner = new TransactionRunner({
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config),
+    maxRedirects: (config.settings.redirects || {}).maxRedirects
+  });
+  
+  const sitesToCheck = config.sites.filter(site => site.checks && site.checks.transactions && (site.transactions || []).length > 0);
+  
+  if (sitesToCheck.length === 0) {
+    console.log('No sites configured for transaction checks');
+    return { allHealthy: true, details: [] };
+  }
+  
+  const results = await runner.checkMultipleSites(sitesToCheck);
+  const summary = runner.generateSummary(results);
+  
+  console.log('');
+  results.forEach(result => console.log(runner.formatResult(result)));
+  console.log('');
+  
+  return summary;
+}
+
 /**
  * Run uptime checks
  */
@@ -108,9 +365,30 @@ async function runUptimeChecks(config) {
   console.log('⬆️ Starting Uptime & Performance Checks...');
   console.log('─'.repeat(50));
   
+  const confirmation = config.settings.uptimeConfirmation || {};
+  const redirects = config.settings.redirects || {};
+  const sampling = config.settings.sampling || {};
   const monitor = new UptimeMonitor({
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config),
     warningThreshold: config.settings.thresholds.responseTimeWarning,
-    criticalThreshold: config.settings.thresholds.responseTimeCritical
+    criticalThreshold: config.settings.thresholds.responseTimeCritical,
+    phaseThresholds: {
+      dns: config.settings.thresholds.dnsWarning,
+      connect: config.settings.thresholds.connectWarning,
+      tls: config.settings.thresholds.tlsWarning,
+      ttfb: config.settings.thresholds.ttfbWarning,
+      download: config.settings.thresholds.downloadWarning
+    },
+    retries: confirmation.retries,
+    retryBackoff: confirmation.backoffMs,
+    backoffFactor: confirmation.backoffFactor,
+    freshConnectionOnRetry: confirmation.freshConnection,
+    samples: sampling.samples,
+    samplingMode: sampling.mode,
+    statistic: sampling.statistic,
+    followRedirects: redirects.follow,
+    maxRedirects: redirects.maxRedirects
   });
   
   const sitesToCheck = config.sites.filter(site => site.checks && site.checks.uptime);
@@ -127,6 +405,34 @@ async function runUptimeChecks(config) {
   results.forEach(result => console.log(monitor.formatResult(result)));
   console.log('');
   
+  // Compare page content with what was served on previous runs
+  const contentSettings = config.settings.contentChanges || {};
+  const contentHistory = new ContentHistory({
+    store: createStateStore(config),
+    ignorePatterns: contentSettings.ignorePatterns,
+    deployWindows: contentSettings.deployWindows,
+    timezone: config.settings.timezone,
+    maxDiffLines: contentSettings.maxDiffLines
+  });
+  summary.contentChanges = contentHistory.track(results, sitesToCheck);
+  summary.contentConfigErrors = contentHistory.configErrors;
+  
+  if (summary.contentConfigErrors.length > 0) {
+    console.log('⚙️ Content change tracking config errors (affected sites not compared):');
+    summary.contentConfigErrors.forEach(error => console.log(`❌ ${error.site}: ${error.message}`));
+    console.log('');
+  }
+  
+  if (summary.contentChanges.length > 0) {
+    console.log('📝 Content changes since last run:');
+    summary.contentChanges.forEach(change => console.log(contentHistory.formatChange(change)));
+    console.log('');
+  }
+  
+  if (summary.contentChanges.some(change => change.suspicious) || summary.contentConfigErrors.length > 0) {
+    summary.allHealthy = false;
+  }
+  
   return summary;
 }
 
@@ -137,7 +443,25 @@ async function runLinkValidation(config) {
   console.log('🔗 Starting Link Validation...');
   console.log('─'.repeat(50));
   
-  const validator = new LinkValidator();
+  const linkCheck = config.settings.linkCheck || {};
+  const externalCache = linkCheck.externalCache || {};
+  const validator = new LinkValidator({
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config),
+    store: createStateStore(config),
+    checkExternal: linkCheck.checkExternal,
+    ttlHours: externalCache.ttlHours,
+    domainTtlHours: externalCache.domainTtlHours,
+    failuresBeforeBroken: externalCache.failuresBeforeBroken,
+    excludePatterns: linkCheck.excludePatterns,
+    onlyCriticalLinks: linkCheck.onlyCriticalLinks,
+    maxRedirects: (config.settings.redirects || {}).maxRedirects,
+    checkAnchors: linkCheck.checkAnchors,
+    ownDomains: collectRegistrableDomains(config),
+    maxDepth: linkCheck.maxDepth,
+    maxPages: linkCheck.maxPages,
+    sitemap: linkCheck.sitemap
+  });
   
   const sitesToCheck = config.sites.filter(site => site.checks && site.checks.links);
   
@@ -156,6 +480,41 @@ async function runLinkValidation(config) {
   return summary;
 }
 
+/**
+ * Run performance budget checks, reusing the pages uptime and link checks downloaded
+ */
+async function runPerformanceBudget(config, results) {
+  console.log('📦 Starting Performance Budget Checks...');
+  console.log('─'.repeat(50));
+  
+  const settings = config.settings.performanceBudget || {};
+  const checker = new PerformanceBudget({
+    timeout: config.settings.thresholds.requestTimeout,
+    scheduler: getScheduler(config),
+    store: createStateStore(config),
+    budget: settings.defaults,
+    regressionPercent: settings.regressionPercent,
+    regressionMinBytes: settings.regressionMinBytes
+  });
+  
+  const sitesToCheck = config.sites.filter(site => site.checks && site.checks.budget);
+  
+  if (sitesToCheck.length === 0) {
+    console.log('No sites configured for performance budget checks');
+    return { allHealthy: true, details: [] };
+  }
+  
+  const downloads = PerformanceBudget.collectDownloads(results.uptime, results.links);
+  const siteResults = await checker.checkMultipleSites(sitesToCheck, downloads);
+  const summary = checker.generateSummary(siteResults);
+  
+  console.log('');
+  siteResults.forEach(result => console.log(checker.formatResult(result)));
+  console.log('');
+  
+  return summary;
+}
+
 /**
  * Main function
  */
@@ -179,14 +538,42 @@ async function main() {
     results.ssl = await runSSLChecks(config);
   }
   
+  if (options.tls) {
+    results.tls = await runTLSAudit(config);
+  }
+  
+  if (options.dns) {
+    results.dns = await runDNSChecks(config);
+  }
+  
+  if (options.domainExpiry) {
+    results.domainExpiry = await runDomainExpiryChecks(config);
+  }
+  
+  if (options.emailAuth) {
+    results.emailAuth = await runEmailAuthChecks(config);
+  }
+  
   if (options.uptime) {
     results.uptime = await runUptimeChecks(config);
   }
   
+  if (options.api) {
+    results.api = await runApiChecks(config);
+  }
+  
+  if (options.transactions) {
+    results.transactions = await runTransactionChecks(config);
+  }
+  
   if (options.links) {
     results.links = await runLinkValidation(config);
   }
   
+  if (options.budget) {
+    results.budget = await runPerformanceBudget(config, results);
+  }
+  
 
   // Load Audiobook Monitor results
   const audiobookReportPath = path.join(__dirname, 'reports', 'output', 'audiobook-monitor.json');
@@ -270,9 +657,16 @@ async function main() {
   
   // Determine exit code based on results
   const sslHealthy = !results.ssl || results.ssl.allHealthy;
+  const tlsHealthy = !results.tls || results.tls.allHealthy;
+  const dnsHealthy = !results.dns || results.dns.allHealthy;
+  const domainExpiryHealthy = !results.domainExpiry || results.domainExpiry.allHealthy;
+  const emailAuthHealthy = !results.emailAuth || results.emailAuth.allHealthy;
   const uptimeHealthy = !results.uptime || results.uptime.allHealthy;
+  const apiHealthy = !results.api || results.api.allHealthy;
+  const transactionsHealthy = !results.transactions || results.transactions.allHealthy;
   const linksHealthy = !results.links || results.links.allHealthy;
-  const allHealthy = sslHealthy && uptimeHealthy && linksHealthy;
+  const budgetHealthy = !results.budget || results.budget.allHealthy;
+  const allHealthy = sslHealthy && tlsHealthy && dnsHealthy && domainExpiryHealthy && emailAuthHealthy && uptimeHealthy && apiHealthy && transactionsHealthy && linksHealthy && budgetHealthy;
   
   if (allHealthy) {
     console.log('✅ All systems healthy!');
@@ -0,0 +1,40 @@
+/**
+ * 🦎 QA Iguana Agent - Auth Headers
+ * Builds request credentials from env vars, so secrets never live in sites.json
+ */
+
+/**
+ * Build the headers for an auth config
+ * @param {object} auth - { type: 'bearer', tokenEnv } | { type: 'basic', usernameEnv, passwordEnv } | { type: 'cookie', cookieEnv }
+ * @param {object} env - Environment (process.env)
+ * @returns {object} { headers, error }
+ */
+function buildAuthHeaders(auth, env = process.env) {
+  const headers = {};
+  if (!auth) return { headers, error: null };
+
+  if (auth.type === 'bearer') {
+    const token = env[auth.tokenEnv];
+    if (!token) return { headers, error: `Missing env var ${auth.tokenEnv} for bearer auth` };
+    headers['Authorization'] = `Bearer ${token}`;
+  } else if (auth.type === 'basic') {
+    const username = env[auth.usernameEnv];
+    const password = env[auth.passwordEnv];
+    if (username === undefined || password === undefined) {
+      return { headers, error: `Missing env var ${username === undefined ? auth.usernameEnv : auth.passwordEnv} for basic auth` };
+    }
+    headers['Authorization'] = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  } else if (auth.type === 'cookie') {
+    const cookie = env[auth.cookieEnv];
+    if (!cookie) return { headers, error: `Missing env var ${auth.cookieEnv} for session cookie` };
+    headers['Cookie'] = cookie;
+  } else {
+    return { headers, error: `Unknown auth type "${auth.type}"` };
+  }
+
+  return { headers, error: null };
+}
+
+module.exports = {
+  buildAuthHeaders
+};
@@ -0,0 +1,100 @@
+/**
+ * 🦎 QA Iguana Agent - Cookie Jar
+ * Keeps cookies between requests of a multi-step check (domain, path and expiry aware)
+ */
+
+const { URL } = require('url');
+
+class CookieJar {
+  constructor() {
+    this.cookies = [];
+  }
+
+  /**
+   * Store the Set-Cookie headers of a response
+   * @param {string|Array<string>} setCookie - Set-Cookie header value(s)
+   * @param {string} urlString - URL the response came from
+   */
+  store(setCookie, urlString) {
+    const url = new URL(urlString);
+
+    [].concat(setCookie || []).forEach(header => {
+      const [pair, ...attributes] = header.split(';').map(part => part.trim());
+      const separator = pair.indexOf('=');
+      if (separator <= 0) return;
+
+      const cookie = {
+        name: pair.slice(0, separator),
+        value: pair.slice(separator + 1),
+        domain: url.hostname.toLowerCase(),
+        hostOnly: true,
+        path: url.pathname.replace(/\/[^/]*$/, '') || '/',
+        secure: false,
+        expires: null
+      };
+
+      attributes.forEach(attribute => {
+        const [key, ...rest] = attribute.split('=');
+        const value = rest.join('=');
+        switch (key.toLowerCase()) {
+          case 'domain':
+            cookie.domain = value.replace(/^\./, '').toLowerCase();
+            cookie.hostOnly = false;
+            break;
+          case 'path':
+            cookie.path = value || '/';
+            break;
+          case 'secure':
+            cookie.secure = true;
+            break;
+          case 'max-age':
+            cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+            break;
+          case 'expires':
+            // Max-Age wins over Expires
+            if (!attributes.some(a => a.toLowerCase().startsWith('max-age='))) {
+              cookie.expires = new Date(value).getTime();
+            }
+            break;
+        }
+      });
+
+      this.cookies = this.cookies.filter(c =>
+        !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+      if (cookie.expires === null || cookie.expires > Date.now()) {
+        this.cookies.push(cookie);
+      }
+    });
+  }
+
+  /**
+   * Build the Cookie header for a request
+   * @param {string} urlString - URL about to be requested
+   * @returns {string} Cookie header value ('' when no cookie applies)
+   */
+  header(urlString) {
+    const url = new URL(urlString);
+    const host = url.hostname.toLowerCase();
+    const now = Date.now();
+
+    return this.cookies
+      .filter(c => c.expires === null || c.expires > now)
+      .filter(c => c.hostOnly ? host === c.domain : (host === c.domain || host.endsWith(`.${c.domain}`)))
+      .filter(c => url.pathname === c.path || url.pathname.startsWith(c.path.endsWith('/') ? c.path : `${c.path}/`))
+      .filter(c => !c.secure || url.protocol === 'https:')
+      .map(c => `${c.name}=${c.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Get the value of a cookie by name
+   * @param {string} name - Cookie name
+   * @returns {string|undefined} Value
+   */
+  get(name) {
+    const cookie = this.cookies.find(c => c.name === name);
+    return cookie ? cookie.value : undefined;
+  }
+}
+
+module.exports = CookieJar;
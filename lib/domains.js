@@ -0,0 +1,138 @@
+/**
+ * 🦎 QA Iguana Agent - Domain Helpers
+ * Collects the domains declared in sites.json and derives their variants
+ */
+
+const { URL } = require('url');
+
+// Public suffixes with more than one label used by our domains
+const MULTI_LABEL_SUFFIXES = [
+  'co.il', 'org.il', 'net.il', 'ac.il', 'gov.il',
+  'co.uk', 'org.uk', 'com.au', 'com.br'
+];
+
+/**
+ * Get the registrable domain (e.g. "www.funnydates101.co.il" → "funnydates101.co.il")
+ * @param {string} hostname - Host name
+ * @returns {string} Registrable domain
+ */
+function getRegistrableDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  const suffixLabels = MULTI_LABEL_SUFFIXES.some(suffix => hostname.toLowerCase().endsWith(`.${suffix}`)) ? 2 : 1;
+  return labels.slice(-(suffixLabels + 1)).join('.');
+}
+
+/**
+ * Check whether a host name is the apex of its registrable domain
+ * @param {string} hostname - Host name
+ * @returns {boolean} True for apex domains
+ */
+function isApex(hostname) {
+  return getRegistrableDomain(hostname) === hostname.toLowerCase();
+}
+
+/**
+ * Get the www/apex counterpart of a host name
+ * @param {string} hostname - Host name
+ * @returns {string|null} The counterpart, or null for other subdomains
+ */
+function getWwwVariant(hostname) {
+  const host = hostname.toLowerCase();
+  if (isApex(host)) return `www.${host}`;
+  if (host.startsWith('www.') && isApex(host.slice(4))) return host.slice(4);
+  return null;
+}
+
+/**
+ * Collect every declared domain from sites and vercelProjects, plus their
+ * www/apex variants
+ * @param {object} config - Parsed sites.json
+ * @param {object} options - { sites: limit to these sites, includeVariants }
+ * @returns {Array<object>} Targets: { domain, port, declared, project, siteId, siteName, variantOf }
+ */
+function collectDomains(config, options = {}) {
+  const sites = options.sites || config.sites || [];
+  const includeVariants = options.includeVariants !== false;
+  const targets = new Map();
+
+  const add = (target) => {
+    const key = `${target.domain}:${target.port || ''}`;
+    const existing = targets.get(key);
+    // A declared entry always wins over a derived variant
+    if (!existing || (target.declared && !existing.declared)) {
+      targets.set(key, target);
+    } else if (target.project && !existing.project) {
+      existing.project = target.project;
+    }
+  };
+
+  sites.forEach(site => {
+    try {
+      const url = new URL(site.url);
+      add({
+        domain: url.hostname,
+        port: site.sslPort || (url.port ? Number(url.port) : null),
+        declared: true,
+        project: null,
+        siteId: site.id,
+        siteName: site.name,
+        variantOf: null
+      });
+    } catch (e) {
+      // Invalid URL, skip
+    }
+  });
+
+  (config.vercelProjects || []).forEach(project => {
+    (project.domains || []).forEach(entry => {
+      const domain = typeof entry === 'string' ? entry : entry.domain;
+      const port = typeof entry === 'string' ? project.port : (entry.port || project.port);
+      add({
+        domain: domain.toLowerCase(),
+        port: port || null,
+        declared: true,
+        project: project.name,
+        siteId: null,
+        siteName: null,
+        variantOf: null
+      });
+    });
+  });
+
+  if (includeVariants) {
+    [...targets.values()].forEach(target => {
+      const variant = getWwwVariant(target.domain);
+      if (!variant) return;
+      add({
+        domain: variant,
+        port: target.port,
+        declared: false,
+        project: target.project,
+        siteId: target.siteId,
+        siteName: target.siteName,
+        variantOf: target.domain
+      });
+    });
+  }
+
+  return [...targets.values()];
+}
+
+/**
+ * Collect the unique registrable domains behind every declared domain
+ * @param {object} config - Parsed sites.json
+ * @returns {Array<string>} Registrable domains
+ */
+function collectRegistrableDomains(config) {
+  const domains = collectDomains(config, { includeVariants: false })
+    .map(target => getRegistrableDomain(target.domain));
+  return [...new Set(domains)];
+}
+
+module.exports = {
+  getRegistrableDomain,
+  isApex,
+  getWwwVariant,
+  collectDomains,
+  collectRegistrableDomains
+};
@@ -0,0 +1,55 @@
+/**
+ * 🦎 QA Iguana Agent - HTTP Body Helpers
+ * Requests compressed responses and decodes them, so checks see both sizes
+ */
+
+const zlib = require('zlib');
+
+// Sent on page fetches so we see what real browsers are served
+const ACCEPT_ENCODING = 'br, gzip, deflate';
+
+/**
+ * Decode a response body according to its Content-Encoding
+ * @param {Buffer} buffer - Raw body as received
+ * @param {string} encoding - Content-Encoding header value
+ * @returns {Buffer} Decoded body (the raw body if it cannot be decoded)
+ */
+function decodeBody(buffer, encoding) {
+  try {
+    switch ((encoding || '').trim().toLowerCase()) {
+      case 'br':
+        return zlib.brotliDecompressSync(buffer);
+      case 'gzip':
+      case 'x-gzip':
+        return zlib.gunzipSync(buffer);
+      case 'deflate':
+        // Some servers send raw deflate without the zlib header
+        try {
+          return zlib.inflateSync(buffer);
+        } catch (e) {
+          return zlib.inflateRawSync(buffer);
+        }
+      default:
+        return buffer;
+    }
+  } catch (error) {
+    return buffer;
+  }
+}
+
+/**
+ * Get the compression scheme a response was served with
+ * @param {string} encoding - Content-Encoding header value
+ * @returns {string|null} 'br' | 'gzip' | 'deflate' | null
+ */
+function getCompression(encoding) {
+  const value = (encoding || '').trim().toLowerCase();
+  if (value === 'x-gzip') return 'gzip';
+  return ['br', 'gzip', 'deflate'].includes(value) ? value : null;
+}
+
+module.exports = {
+  ACCEPT_ENCODING,
+  decodeBody,
+  getCompression
+};
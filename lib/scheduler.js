@@ -0,0 +1,116 @@
+/**
+ * 🦎 QA Iguana Agent - Scheduler
+ * Runs checks concurrently with a global limit, a per-host limit and a run deadline
+ */
+
+const { URL } = require('url');
+
+class Scheduler {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 6;
+    this.perHost = options.perHost || 2;
+    this.deadline = options.deadlineMs ? Date.now() + options.deadlineMs : null;
+    this.running = 0;
+    this.hosts = new Map();
+    this.queue = [];
+  }
+
+  /**
+   * Create a scheduler from settings.concurrency in sites.json
+   * @param {object} config - Parsed sites.json
+   * @returns {Scheduler} Scheduler
+   */
+  static fromConfig(config) {
+    const concurrency = config.settings.concurrency || {};
+    return new Scheduler({
+      concurrency: concurrency.global,
+      perHost: concurrency.perHost,
+      deadlineMs: concurrency.runDeadlineMs
+    });
+  }
+
+  /**
+   * Get the host key used for the per-host limit
+   * @param {string} urlString - URL or host name
+   * @returns {string} Lowercase host name
+   */
+  static hostOf(urlString) {
+    try {
+      return new URL(urlString).hostname.toLowerCase();
+    } catch (e) {
+      return String(urlString).toLowerCase();
+    }
+  }
+
+  /**
+   * Check whether the run deadline has passed
+   * @returns {boolean} True once no new tasks may start
+   */
+  isExpired() {
+    return this.deadline !== null && Date.now() >= this.deadline;
+  }
+
+  /**
+   * Schedule a single task
+   * @param {string} host - Host the task talks to
+   * @param {Function} task - Async function to run
+   * @param {Function} onSkip - Returns the result used when the deadline passes before the task starts
+   * @returns {Promise<*>} Task result
+   */
+  schedule(host, task, onSkip) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ host, task, onSkip, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Run a task for every item and return the results in item order
+   * @param {Array} items - Items to process
+   * @param {Function} getHost - item → host
+   * @param {Function} task - item → Promise of result
+   * @param {Function} onSkip - item → result when the deadline passes first
+   * @returns {Promise<Array>} Results in the same order as items
+   */
+  map(items, getHost, task, onSkip) {
+    return Promise.all(items.map(item =>
+      this.schedule(getHost(item), () => task(item), () => onSkip(item))));
+  }
+
+  /**
+   * Start queued tasks while there is capacity; tasks whose host is
+   * saturated wait without blocking tasks for other hosts
+   */
+  drain() {
+    for (let i = 0; i < this.queue.length && this.running < this.concurrency;) {
+      const entry = this.queue[i];
+
+      if (this.isExpired()) {
+        this.queue.splice(i, 1);
+        entry.resolve(entry.onSkip ? entry.onSkip() : { skipped: true, error: 'Run deadline reached' });
+        continue;
+      }
+
+      const active = this.hosts.get(entry.host) || 0;
+      if (active >= this.perHost) {
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.running++;
+      this.hosts.set(entry.host, active + 1);
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.running--;
+          this.hosts.set(entry.host, this.hosts.get(entry.host) - 1);
+          this.drain();
+        });
+    }
+  }
+}
+
+module.exports = Scheduler;
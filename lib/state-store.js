@@ -0,0 +1,54 @@
+/**
+ * 🦎 QA Iguana Agent - State Store
+ * Persists check state between runs as JSON files
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class StateStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '..', 'reports', 'state');
+  }
+
+  /**
+   * Get the file path for a state entry
+   * @param {string} name - State name (e.g. 'cert-history')
+   * @returns {string} Absolute file path
+   */
+  getPath(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Load a state entry
+   * @param {string} name - State name
+   * @param {*} fallback - Value returned when nothing is stored yet
+   * @returns {*} Stored value or fallback
+   */
+  load(name, fallback = {}) {
+    const filePath = this.getPath(name);
+    if (!fs.existsSync(filePath)) return fallback;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.log(`⚠️ Failed to parse state ${name}: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Save a state entry
+   * @param {string} name - State name
+   * @param {*} data - JSON-serializable value
+   */
+  save(name, data) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    fs.writeFileSync(this.getPath(name), JSON.stringify(data, null, 2));
+  }
+}
+
+module.exports = StateStore;
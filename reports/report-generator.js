@@ -68,15 +68,123 @@ class ReportGenerator {
     if (results.ssl && results.ssl.details) {
       results.ssl.details.forEach(item => {
         if (item.status === 'critical' || item.status === 'error' || !item.valid) {
-          issues.push({ type: 'ssl', site: item.siteName || item.hostname, message: item.error || (item.isExpired ? 'Certificate expired' : `${item.daysRemaining} days remaining`) });
+          const failures = item.failures || [];
+          const message = item.error
+            || (failures.length > 0 ? failures.map(f => f.reason).join('; ') : null)
+            || (item.isExpired ? 'Certificate expired' : `${item.daysRemaining} days remaining`);
+          issues.push({ type: 'ssl', site: item.siteName || item.hostname, message });
         }
       });
     }
+    if (results.ssl && results.ssl.domains) {
+      results.ssl.domains.forEach(item => {
+        if (item.status === 'critical' || item.status === 'error') {
+          issues.push({ type: 'ssl', site: item.domain, message: this.describeDomainCoverage(item) });
+        }
+      });
+    }
+    if (results.ssl && results.ssl.changes) {
+      results.ssl.changes.forEach(change => {
+        if (change.status === 'critical') {
+          issues.push({ type: 'ssl', site: change.siteName || change.hostname, message: change.message });
+        }
+      });
+    }
+    if (results.tls && results.tls.details) {
+      results.tls.details.forEach(item => {
+        if (item.status === 'error') {
+          issues.push({ type: 'tls', site: item.siteName || item.hostname, message: item.error || 'TLS handshake failed' });
+        }
+      });
+    }
+    if (results.dns && results.dns.details) {
+      results.dns.details.forEach(item => {
+        (item.issues || []).filter(i => i.status === 'critical' || i.status === 'error').forEach(i => {
+          issues.push({ type: 'dns', site: item.domain, message: i.message });
+        });
+      });
+    }
+    if (results.domainExpiry && results.domainExpiry.details) {
+      results.domainExpiry.details.forEach(item => {
+        if (item.status === 'critical' || item.status === 'error') {
+          issues.push({ type: 'domain', site: item.domain, message: this.describeDomainExpiry(item) });
+        }
+      });
+    }
+    if (results.emailAuth && results.emailAuth.details) {
+      results.emailAuth.details.forEach(item => {
+        (item.issues || []).filter(i => i.status === 'critical' || i.status === 'error').forEach(i => {
+          issues.push({ type: 'email', site: item.domain, message: i.message });
+        });
+      });
+    }
     if (results.uptime && results.uptime.details) {
       results.uptime.details.forEach(item => {
         if (item.overallStatus === 'down' || item.overallStatus === 'error') {
-          issues.push({ type: 'uptime', site: item.siteName, message: 'Site is down' });
+          const failedPages = (item.pages || []).filter(p => !p.isUp);
+          const assertionPages = failedPages.filter(p => p.failedAssertions && p.failedAssertions.length > 0);
+          const redirectPages = failedPages.filter(p => p.redirectError);
+          const skippedPages = failedPages.filter(p => p.skipped);
+          const downPages = failedPages.filter(p =>
+            !assertionPages.includes(p) && !redirectPages.includes(p) && !skippedPages.includes(p));
+          if (skippedPages.length > 0) {
+            issues.push({ type: 'uptime', site: item.siteName, message: `${skippedPages.length} page(s) not checked - run deadline reached` });
+          }
+          if (downPages.length > 0 || (assertionPages.length === 0 && redirectPages.length === 0 && skippedPages.length === 0)) {
+            const attempts = Math.max(...downPages.map(p => (p.attempts || []).length), 1);
+            issues.push({ type: 'uptime', site: item.siteName, message: `Site is down (confirmed after ${attempts} attempt(s))` });
+          }
+          assertionPages.forEach(page => {
+            const failed = page.failedAssertions.map(f => `${f.assertion}: ${f.message}`).join('; ');
+            issues.push({ type: 'uptime', site: item.siteName, message: `${page.pageName || page.url} content check failed (${failed})` });
+          });
+          redirectPages.forEach(page => {
+            issues.push({ type: 'redirect', site: item.siteName, message: `${page.pageName || page.url}: ${page.error}` });
+          });
+        }
+        if (item.redirectPolicy) {
+          item.redirectPolicy.violations.forEach(v => {
+            issues.push({ type: 'redirect', site: item.siteName, message: `[${v.type}] ${v.message}` });
+          });
         }
+        (item.pages || []).filter(p => p.authCheck).forEach(page => {
+          page.authCheck.violations.forEach(v => {
+            issues.push({ type: 'auth', site: item.siteName, message: `${page.pageName || page.url} [${v.type}] ${v.message}` });
+          });
+        });
+      });
+    }
+    if (results.uptime && results.uptime.contentChanges) {
+      results.uptime.contentChanges.filter(change => change.suspicious).forEach(change => {
+        issues.push({ type: 'content', site: change.siteName, message: `${change.pageName || change.url}: ${change.message}` });
+      });
+    }
+    if (results.uptime && results.uptime.contentConfigErrors) {
+      results.uptime.contentConfigErrors.forEach(error => {
+        issues.push({ type: 'config', site: error.site, message: `${error.message} - שינויי תוכן לא נבדקו` });
+      });
+    }
+    if (results.api && results.api.details) {
+      results.api.details.forEach(item => {
+        item.endpoints.filter(e => e.status !== 'ok').forEach(endpoint => {
+          const message = endpoint.error
+            || endpoint.failures.map(f => `[${f.assertion}] ${f.message}`).join('; ');
+          issues.push({ type: 'api', site: item.siteName, message: `${endpoint.name}: ${message}` });
+        });
+      });
+    }
+    if (results.transactions && results.transactions.details) {
+      results.transactions.details.forEach(item => {
+        item.transactions.filter(t => t.status !== 'ok').forEach(transaction => {
+          issues.push({ type: 'transaction', site: item.siteName, message: this.describeTransactionFailure(transaction) });
+        });
+      });
+    }
+    if (results.budget && results.budget.details) {
+      results.budget.details.forEach(item => {
+        item.pages.filter(p => p.error).forEach(page => {
+          issues.push({ type: 'budget', site: item.siteName, message: `${page.pageName || page.pageUrl}: page weight not measured - ${page.error}` });
+        });
       });
     }
     if (results.links && results.links.details) {
@@ -90,6 +198,12 @@ class ReportGenerator {
             links: brokenLinks
           });
         }
+        (item.missingCriticalLinks || []).forEach(link => {
+          issues.push({ type: 'links', site: item.siteName, message: `לינק קריטי חסר: ${link.name} (${link.page}) - ${link.error}` });
+        });
+        (item.mixedContent || []).filter(m => m.kind === 'active').forEach(m => {
+          issues.push({ type: 'mixed-content', site: item.siteName, message: `${m.element}: ${m.url} נטען ב-HTTP בעמוד ${m.foundOn}` });
+        });
       });
     }
     return issues;
@@ -104,20 +218,256 @@ class ReportGenerator {
         }
       });
     }
+    if (results.ssl && results.ssl.domains) {
+      results.ssl.domains.forEach(item => {
+        if (item.status === 'warning') {
+          warnings.push({ type: 'ssl', site: item.domain, message: this.describeDomainCoverage(item) });
+        }
+      });
+    }
+    if (results.ssl && results.ssl.changes) {
+      results.ssl.changes.forEach(change => {
+        if (change.status === 'warning') {
+          warnings.push({ type: 'ssl', site: change.siteName || change.hostname, message: change.message });
+        }
+      });
+    }
+    if (results.tls && results.tls.details) {
+      results.tls.details.forEach(item => {
+        (item.warnings || []).forEach(w => {
+          warnings.push({ type: 'tls', site: item.siteName || item.hostname, message: w.message });
+        });
+      });
+    }
+    if (results.dns && results.dns.details) {
+      results.dns.details.forEach(item => {
+        (item.issues || []).filter(i => i.status === 'warning').forEach(i => {
+          warnings.push({ type: 'dns', site: item.domain, message: i.message });
+        });
+      });
+    }
+    if (results.domainExpiry && results.domainExpiry.details) {
+      results.domainExpiry.details.forEach(item => {
+        if (item.status === 'warning' || item.status === 'unavailable') {
+          warnings.push({ type: 'domain', site: item.domain, message: this.describeDomainExpiry(item) });
+        }
+      });
+    }
+    if (results.emailAuth && results.emailAuth.details) {
+      results.emailAuth.details.forEach(item => {
+        (item.issues || []).filter(i => i.status === 'warning').forEach(i => {
+          warnings.push({ type: 'email', site: item.domain, message: i.message });
+        });
+      });
+    }
     if (results.uptime && results.uptime.details) {
       results.uptime.details.forEach(item => {
-        if (item.overallStatus === 'warning' || item.overallStatus === 'critical') {
+        const hasSlowPhases = (item.pages || []).some(p => p.slowPhases && p.slowPhases.length > 0);
+        if ((item.overallStatus === 'warning' || item.overallStatus === 'critical') && !hasSlowPhases) {
           warnings.push({ type: 'uptime', site: item.siteName, message: `Slow response: ${item.avgResponseTime}ms` });
         }
+        (item.pages || []).filter(p => p.slowPhases && p.slowPhases.length > 0).forEach(page => {
+          warnings.push({ type: 'uptime', site: item.siteName, message: `${page.pageName || page.url} slow phase(s): ${this.describeTimings(page)}` });
+        });
+        (item.pages || []).filter(p => p.recoveredAfterRetry).forEach(page => {
+          warnings.push({ type: 'uptime', site: item.siteName, message: `${page.pageName || page.url} recovered after retry (attempt ${page.attempts.length})` });
+        });
+        (item.pages || []).filter(p => p.authCheck && p.authCheck.credentialed && p.authCheck.credentialed.skipped).forEach(page => {
+          warnings.push({ type: 'auth', site: item.siteName, message: `${page.pageName || page.url} logged-in check skipped: ${page.authCheck.credentialed.error}` });
+        });
+      });
+    }
+    if (results.budget && results.budget.details) {
+      results.budget.details.forEach(item => {
+        item.pages.filter(p => !p.error).forEach(page => {
+          page.overruns.forEach(o => {
+            warnings.push({ type: 'budget', site: item.siteName, message: `${page.pageName || page.pageUrl} over budget: ${o.message}` });
+          });
+          page.regressions.forEach(r => {
+            warnings.push({ type: 'budget', site: item.siteName, message: `${page.pageName || page.pageUrl} regression: ${r.message}` });
+          });
+        });
+      });
+    }
+    if (results.links && results.links.details) {
+      results.links.details.forEach(item => {
+        (item.crossDomainRedirects || []).forEach(link => {
+          warnings.push({ type: 'links', site: item.siteName, message: `${link.url} מפנה לדומיין אחר: ${link.redirectTo}` });
+        });
+        (item.timedOutLinks || []).forEach(link => {
+          warnings.push({ type: 'links', site: item.siteName, message: `${link.url} לא ענה בזמן (Timeout)` });
+        });
+        (item.mixedContent || []).filter(m => m.kind === 'passive').forEach(m => {
+          warnings.push({ type: 'mixed-content', site: item.siteName, message: `${m.element}: ${m.url} נטען ב-HTTP בעמוד ${m.foundOn}` });
+        });
+        (item.insecureLinks || []).forEach(link => {
+          warnings.push({ type: 'mixed-content', site: item.siteName, message: `לינק http:// לדומיין שלנו: ${link.url} בעמוד ${link.foundOn}` });
+        });
+        if (item.brokenAnchors && item.brokenAnchors.length > 0) {
+          warnings.push({
+            type: 'links',
+            site: item.siteName,
+            message: `${item.brokenAnchors.length} עוגנים שבורים: ${item.brokenAnchors.map(a => `#${a.fragment}`).join(', ')}`
+          });
+        }
+      });
+      results.links.details.filter(item => item.crawl).forEach(item => {
+        item.crawl.unreachablePages.forEach(page => {
+          warnings.push({ type: 'links', site: item.siteName, message: `${page.name} (${page.url}) לא מקושר מהאתר ולא מופיע ב-sitemap` });
+        });
       });
     }
     return warnings;
   }
 
+  /**
+   * One-line description of a domain SAN coverage result
+   */
+  describeDomainCoverage(item) {
+    if (item.error) return item.error;
+    if (!item.sanCovered) {
+      return `Domain not covered by certificate SAN (${(item.altNames || []).join(', ') || 'none'})`;
+    }
+    if (item.failures && item.failures.length > 0) return item.failures.map(f => f.reason).join('; ');
+    return `SSL expiring in ${item.daysRemaining} days`;
+  }
+
+  /**
+   * One-line description of a domain registration result
+   */
+  describeDomainExpiry(item) {
+    if (item.error) return item.error;
+    if (item.problemFlags && item.problemFlags.length > 0) return `Domain status: ${item.problemFlags.join(', ')}`;
+    if (item.daysRemaining === null || item.daysRemaining === undefined) return 'No expiration date in RDAP';
+    if (item.daysRemaining < 0) return 'Domain registration expired';
+    return `Domain expiring in ${item.daysRemaining} days`;
+  }
+
+  /**
+   * One-line per-phase timing breakdown of a page check, slow phases marked
+   */
+  describeTimings(page) {
+    const timings = page.timings;
+    if (!timings) return '';
+    const labels = { dns: 'DNS', connect: 'TCP', tls: 'TLS', ttfb: 'TTFB', download: 'Download' };
+    const slow = page.slowPhases || [];
+    const parts = Object.keys(labels)
+      .filter(phase => timings[phase] !== null && timings[phase] !== undefined)
+      .map(phase => `${slow.includes(phase) ? '⚠️' : ''}${labels[phase]} ${timings[phase]}ms`);
+    if (timings.reusedConnection) parts.push('reused connection');
+    return parts.join(' | ');
+  }
+
+  /**
+   * Response time spread of a sampled page, e.g. "min 120 | median 180 | p95 410 | max 410 ms (3 warm)"
+   */
+  describeResponseStats(page) {
+    const stats = page.responseStats;
+    if (!stats) return '';
+    const parts = ['min', 'median', 'p95', 'max'].map(key =>
+      `${key === stats.statistic ? `[${key}]` : key} ${stats[key]}`);
+    const failed = stats.failedSamples > 0 ? `, ${stats.failedSamples} failed` : '';
+    return `${parts.join(' | ')} ms (${stats.samples.length} ${stats.mode}${failed})`;
+  }
+
+  /**
+   * HTML cell content for a sampled page: the min–max range with the graded statistic below
+   */
+  formatResponseSpread(stats) {
+    const line = ['median', 'p95']
+      .map(key => key === stats.statistic ? `<strong>${key} ${stats[key]}</strong>` : `${key} ${stats[key]}`)
+      .join(' · ');
+    return `${stats.min}–${stats.max}ms<br><span style="font-size:10px;">${line}</span>`;
+  }
+
+  /**
+   * One-line redirect chain of a page check, e.g. "http://a (301) → https://a (200)"
+   */
+  describeRedirectChain(page) {
+    const hops = (page.redirectChain || []).map(hop => `${hop.url} (${hop.statusCode})`);
+    if (page.redirectError) return [...hops, `⟲ ${page.error}`].join(' → ');
+    return [...hops, `${page.finalUrl} (${page.statusCode || page.error || 'N/A'})`].join(' → ');
+  }
+
+  /**
+   * Why a transaction failed, e.g. 'Login: step 2 "Submit" failed - [status] Status 500, expected 302'
+   */
+  describeTransactionFailure(transaction) {
+    if (transaction.failedStepIndex === null) return `${transaction.name}: ${transaction.error || 'failed'}`;
+    const index = transaction.failedStepIndex;
+    const step = transaction.steps[index];
+    const reason = step.error || step.failures.map(f => `[${f.assertion}] ${f.message}`).join('; ');
+    return `${transaction.name}: step ${index + 1} "${step.name}" failed - ${reason}`;
+  }
+
+  /**
+   * One-line protected page result, e.g. "anonymous 401 (auth-required) | cookie 200 (allowed)"
+   */
+  describeAuthCheck(page) {
+    const check = page.authCheck;
+    const parts = [`anonymous ${check.anonymous.statusCode || 'N/A'} (${check.anonymous.outcome})`];
+    if (check.credentialed) {
+      parts.push(check.credentialed.skipped
+        ? `${check.credentialed.type} skipped`
+        : `${check.credentialed.type} ${check.credentialed.statusCode || 'N/A'} (${check.credentialed.outcome})`);
+    }
+    return parts.join(' | ');
+  }
+
+  /**
+   * Byte count for display, e.g. "512B", "48.3KB", "1.20MB"
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes}B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+  }
+
+  /**
+   * One-line page weight breakdown, e.g. "HTML 48.3KB (br) | JS 4 · 310.2KB | CSS 2 · 40.1KB | ..."
+   */
+  describePageWeight(page) {
+    const labels = { scripts: 'JS', stylesheets: 'CSS', images: 'IMG', fonts: 'Fonts' };
+    const parts = [`HTML ${this.formatBytes(page.htmlBytes)} (${page.compression || 'ללא דחיסה'})`];
+    Object.keys(labels).forEach(type => {
+      const resource = page.resources[type];
+      parts.push(`${labels[type]} ${resource.count} · ${this.formatBytes(resource.bytes)}`);
+    });
+    return parts.join(' | ');
+  }
+
+  /**
+   * One-line crawl summary, e.g. "נסרקו 12 עמודים (עומק 2, 5 מה-sitemap)"
+   */
+  describeCrawl(crawl) {
+    const parts = [`עומק ${crawl.maxDepth}`];
+    if (crawl.sitemapUrls > 0) parts.push(`${crawl.sitemapUrls} מה-sitemap`);
+    if (crawl.truncated) parts.push(`הגיע למגבלה של ${crawl.maxPages} עמודים`);
+    return `נסרקו ${crawl.pagesScanned} עמודים (${parts.join(', ')})`;
+  }
+
+  /**
+   * Escape text taken from a scanned page before putting it in the HTML report
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   hasAnyIssues(results) {
     if (results.ssl && !results.ssl.allHealthy) return true;
+    if (results.tls && !results.tls.allHealthy) return true;
+    if (results.dns && !results.dns.allHealthy) return true;
+    if (results.domainExpiry && !results.domainExpiry.allHealthy) return true;
+    if (results.emailAuth && !results.emailAuth.allHealthy) return true;
     if (results.uptime && !results.uptime.allHealthy) return true;
+    if (results.api && !results.api.allHealthy) return true;
+    if (results.transactions && !results.transactions.allHealthy) return true;
     if (results.links && !results.links.allHealthy) return true;
+    if (results.budget && !results.budget.allHealthy) return true;
     return false;
   }
 
@@ -163,6 +513,9 @@ class ReportGenerator {
             }
           }
           if (item.issuer) report.push(`   מנפיק: ${item.issuer}`);
+          if (item.failures && item.failures.length > 0) {
+            item.failures.forEach(f => report.push(`   ❌ ${f.reason}`));
+          }
           if (item.error) {
             report.push(`   ❌ שגיאה: ${item.error}`);
           }
@@ -175,6 +528,148 @@ class ReportGenerator {
         report.push('   אין נתונים');
         report.push('');
       }
+      
+      if (results.ssl.domains && results.ssl.domains.length > 0) {
+        report.push('🌐 כיסוי דומיינים (SAN):');
+        results.ssl.domains.forEach(item => {
+          const icon = item.status === 'ok' ? '✅' : (item.status === 'warning' ? '⚠️' : '❌');
+          const port = item.port && item.port !== 443 ? `:${item.port}` : '';
+          const origin = item.project ? ` [${item.project}]` : (item.variantOf ? ` [וריאנט של ${item.variantOf}]` : '');
+          report.push(`   ${icon} ${item.domain}${port}${origin}`);
+          if (item.status !== 'ok') report.push(`      ${this.describeDomainCoverage(item)}`);
+        });
+        report.push('');
+      }
+      
+      if (results.ssl.changes && results.ssl.changes.length > 0) {
+        report.push('📜 שינויי תעודות מאז הריצה הקודמת:');
+        results.ssl.changes.forEach(change => {
+          const icon = change.status === 'critical' ? '🔴' : (change.status === 'warning' ? '⚠️' : 'ℹ️');
+          report.push(`   ${icon} ${change.siteName || change.hostname} (${change.hostname}): ${change.message}`);
+        });
+        report.push('');
+      }
+    }
+    
+    // TLS Audit Results
+    if (results.tls) {
+      report.push('─'.repeat(60));
+      report.push('🛡️ הקשחת TLS');
+      report.push('─'.repeat(60));
+      
+      if (results.tls.details && results.tls.details.length > 0) {
+        results.tls.details.forEach(item => {
+          const status = item.status === 'ok' ? '✅' : (item.status === 'warning' ? '⚠️' : '❌');
+          
+          report.push(`${status} ${item.siteName || item.hostname}`);
+          report.push(`   כתובת: ${item.url}${item.port && item.port !== 443 ? ` (פורט ${item.port})` : ''}`);
+          if (item.acceptedProtocols && item.acceptedProtocols.length > 0) {
+            report.push(`   פרוטוקולים: ${item.acceptedProtocols.join(', ')}`);
+            report.push(`   צפנים נתמכים: ${item.cipherCount}`);
+            report.push(`   Forward Secrecy: ${item.forwardSecrecy ? 'כן' : 'לא'}`);
+          }
+          if (item.key) report.push(`   מפתח: ${item.key.type} ${item.key.bits} bits${item.key.curve ? ` (${item.key.curve})` : ''}`);
+          if (item.note) report.push(`   ℹ️ ${item.note}`);
+          (item.warnings || []).forEach(w => report.push(`   ⚠️ ${w.message}`));
+          if (item.error) report.push(`   ❌ שגיאה: ${item.error}`);
+          if (item.warnings && item.warnings.length > 0) {
+            report.push(`   🔧 לתיקון: בדוק הגדרות TLS ב-CDN / אחסון`);
+          }
+          report.push('');
+        });
+      } else {
+        report.push('   אין נתונים');
+        report.push('');
+      }
+    }
+    
+    // DNS Results
+    if (results.dns) {
+      report.push('─'.repeat(60));
+      report.push('🌐 רשומות DNS');
+      report.push('─'.repeat(60));
+      
+      if (results.dns.details && results.dns.details.length > 0) {
+        results.dns.details.forEach(item => {
+          const status = item.status === 'ok' ? '✅' : (item.status === 'warning' ? '⚠️' : '❌');
+          const records = item.records || {};
+          
+          report.push(`${status} ${item.domain}${item.siteName ? ` (${item.siteName})` : ''}`);
+          if (records.CNAME && records.CNAME.length > 0) report.push(`   CNAME: ${records.CNAME.join(', ')}`);
+          if (records.A && records.A.length > 0) report.push(`   A: ${records.A.join(', ')}`);
+          if (records.AAAA && records.AAAA.length > 0) report.push(`   AAAA: ${records.AAAA.join(', ')}`);
+          if (records.NS && records.NS.length > 0) report.push(`   NS: ${records.NS.join(', ')}`);
+          (item.issues || []).forEach(i => {
+            report.push(`   ${i.status === 'warning' ? '⚠️' : '❌'} ${i.message}`);
+          });
+          if (item.status === 'critical' || item.status === 'error') {
+            report.push(`   🔧 לתיקון: בדוק את רשומות ה-DNS אצל הרשם / Vercel → Domains`);
+          }
+          report.push('');
+        });
+      } else {
+        report.push('   אין נתונים');
+        report.push('');
+      }
+    }
+    
+    // Domain Registration Results
+    if (results.domainExpiry) {
+      report.push('─'.repeat(60));
+      report.push('📇 רישום דומיינים');
+      report.push('─'.repeat(60));
+      
+      if (results.domainExpiry.details && results.domainExpiry.details.length > 0) {
+        results.domainExpiry.details.forEach(item => {
+          const status = item.status === 'ok' ? '✅' : (item.status === 'warning' || item.status === 'unavailable' ? '⚠️' : '❌');
+          
+          report.push(`${status} ${item.domain}`);
+          if (item.registrar) report.push(`   רשם: ${item.registrar}`);
+          if (item.expiresAt) {
+            report.push(`   תפוגה בעוד: ${item.daysRemaining} ימים`);
+            report.push(`   תאריך תפוגה: ${new Date(item.expiresAt).toLocaleDateString('he-IL')}`);
+          }
+          if (item.statusFlags && item.statusFlags.length > 0) report.push(`   סטטוס: ${item.statusFlags.join(', ')}`);
+          if (item.nameservers && item.nameservers.length > 0) report.push(`   NS: ${item.nameservers.join(', ')}`);
+          if (item.status !== 'ok') report.push(`   ${status} ${this.describeDomainExpiry(item)}`);
+          if (item.status === 'critical' || item.status === 'warning') {
+            report.push(`   🔧 לתיקון: חדש את הדומיין אצל הרשם`);
+          }
+          report.push('');
+        });
+      } else {
+        report.push('   אין נתונים');
+        report.push('');
+      }
+    }
+    
+    // Email Authentication Results
+    if (results.emailAuth) {
+      report.push('─'.repeat(60));
+      report.push('✉️ אימות דואר (SPF / DKIM / DMARC)');
+      report.push('─'.repeat(60));
+      
+      if (results.emailAuth.details && results.emailAuth.details.length > 0) {
+        results.emailAuth.details.forEach(item => {
+          const status = item.status === 'ok' ? '✅' : (item.status === 'warning' ? '⚠️' : '❌');
+          
+          report.push(`${status} ${item.domain}`);
+          report.push(`   MX: ${item.mx && item.mx.length > 0 ? item.mx.join(', ') : 'אין'}`);
+          report.push(`   SPF: ${item.spf ? `${item.spf.record} (${item.spf.lookups} lookups)` : 'אין'}`);
+          report.push(`   DMARC: ${item.dmarc ? item.dmarc.record : 'אין'}`);
+          (item.dkim || []).forEach(d => {
+            report.push(`   DKIM ${d.selector}: ${d.found ? '✓' : '✗'}`);
+          });
+          (item.issues || []).forEach(i => {
+            report.push(`   ${i.status === 'warning' ? '⚠️' : '❌'} ${i.message}`);
+          });
+          if (item.status !== 'ok') report.push(`   🔧 לתיקון: עדכן את רשומות ה-TXT ב-DNS של הדומיין`);
+          report.push('');
+        });
+      } else {
+        report.push('   אין נתונים');
+        report.push('');
+      }
     }
     
     // Uptime Results
@@ -185,7 +680,7 @@ class ReportGenerator {
       
       if (results.uptime.details && results.uptime.details.length > 0) {
         results.uptime.details.forEach(item => {
-          const isHealthy = item.overallStatus === 'ok';
+          const isHealthy = item.overallStatus === 'ok' && !item.redirectViolations && !item.authViolations;
           const status = isHealthy ? '✅' : (item.overallStatus === 'warning' ? '⚠️' : '❌');
           
           report.push(`${status} ${item.siteName}`);
@@ -198,20 +693,56 @@ class ReportGenerator {
               if (!page.isUp) {
                 report.push(`   ❌ עמוד: ${page.pageName || page.url}`);
                 report.push(`      סטטוס HTTP: ${page.statusCode || 'N/A'}`);
-                if (page.error) report.push(`      שגיאה: ${page.error}`);
+                if (page.error && !(page.failedAssertions || []).length) report.push(`      שגיאה: ${page.error}`);
+                if (page.attempts) report.push(`      נפילה מאושרת אחרי ${page.attempts.length} ניסיונות`);
+                (page.failedAssertions || []).forEach(f => {
+                  report.push(`      ❗ בדיקת תוכן [${f.assertion}]: ${f.message}`);
+                });
                 report.push(`      🔧 בדוק Vercel logs או שגיאות build`);
               } else if (page.status === 'critical' || page.status === 'warning') {
                 report.push(`   ⚠️ ${page.pageName}: איטי - ${page.responseTime}ms`);
+                if (page.slowPhases && page.slowPhases.length > 0) {
+                  report.push(`      שלבים איטיים: ${page.slowPhases.join(', ')}`);
+                }
               }
             });
           }
           
+          if (item.pages) {
+            item.pages.filter(page => page.redirectChain && page.redirectChain.length > 0).forEach(page => {
+              report.push(`   ↪️ ${page.pageName || page.url}: ${this.describeRedirectChain(page)}`);
+            });
+          }
+          if (item.redirectPolicy) {
+            item.redirectPolicy.violations.forEach(v => {
+              report.push(`   🚫 הפרת מדיניות הפניות [${v.type}]: ${v.message}`);
+            });
+          }
+          if (item.pages) {
+            item.pages.filter(page => page.authCheck).forEach(page => {
+              report.push(`   🔒 ${page.pageName || page.url}: ${this.describeAuthCheck(page)}`);
+              page.authCheck.violations.forEach(v => {
+                report.push(`      🚫 עמוד מוגן [${v.type}]: ${v.message}`);
+              });
+            });
+          }
+
+          // Pages that failed first and then answered on a retry
+          if (item.pages) {
+            item.pages.filter(page => page.recoveredAfterRetry).forEach(page => {
+              const firstFailure = page.attempts[0];
+              report.push(`   🔁 ${page.pageName || page.url}: התאושש בניסיון ${page.attempts.length} (לפני כן: ${firstFailure.error || firstFailure.statusCode})`);
+            });
+          }
+          
           // Show all pages with response times
           if (item.pages && item.pages.length > 0) {
             report.push(`   📊 פירוט עמודים:`);
             item.pages.forEach(page => {
               const pageIcon = page.isUp ? '✓' : '✗';
               report.push(`      ${pageIcon} ${page.pageName || page.url}: ${page.responseTime || page.statusCode || 'N/A'}ms`);
+              if (page.responseStats) report.push(`         📈 ${this.describeResponseStats(page)}`);
+              if (page.timings) report.push(`         ⏱️ ${this.describeTimings(page)}`);
             });
           }
           
@@ -221,6 +752,79 @@ class ReportGenerator {
         report.push('   אין נתונים');
         report.push('');
       }
+      
+      if (results.uptime.contentChanges && results.uptime.contentChanges.length > 0) {
+        report.push('📝 שינויי תוכן מאז הריצה הקודמת:');
+        results.uptime.contentChanges.forEach(change => {
+          report.push(`   ${change.suspicious ? '🔴' : 'ℹ️'} ${change.siteName} - ${change.pageName || change.url}: ${change.message}`);
+          change.diff.removedLines.forEach(line => report.push(`      - ${line}`));
+          change.diff.addedLines.forEach(line => report.push(`      + ${line}`));
+          if (change.suspicious) report.push(`      🔧 ודא שהשינוי נפרס על ידינו - אם לא, בדוק השחתה/פריצה`);
+        });
+        report.push('');
+      }
+    }
+    
+    // API Results
+    if (results.api) {
+      report.push('─'.repeat(60));
+      report.push('🔌 בדיקות API');
+      report.push('─'.repeat(60));
+      
+      if (results.api.details && results.api.details.length > 0) {
+        results.api.details.forEach(item => {
+          report.push(`${item.status === 'ok' ? '✅' : '❌'} ${item.siteName}`);
+          item.endpoints.forEach(endpoint => {
+            const icon = endpoint.status === 'ok' ? '✓' : '✗';
+            report.push(`   ${icon} ${endpoint.name}: ${endpoint.method} ${endpoint.url}`);
+            if (endpoint.error) {
+              report.push(`      שגיאה: ${endpoint.error}`);
+            } else {
+              report.push(`      סטטוס HTTP: ${endpoint.statusCode} | ${endpoint.responseTime}ms`);
+            }
+            endpoint.failures.forEach(f => {
+              report.push(`      ❗ [${f.assertion}] ${f.message}`);
+            });
+          });
+          if (item.status !== 'ok') report.push(`   🔧 בדוק את לוגי ה-API ב-Vercel`);
+          report.push('');
+        });
+      } else {
+        report.push('   אין נתונים');
+        report.push('');
+      }
+    }
+    
+    // Transaction Results
+    if (results.transactions) {
+      report.push('─'.repeat(60));
+      report.push('🧭 תרחישים (Transactions)');
+      report.push('─'.repeat(60));
+      
+      if (results.transactions.details && results.transactions.details.length > 0) {
+        results.transactions.details.forEach(item => {
+          report.push(`${item.status === 'ok' ? '✅' : '❌'} ${item.siteName}`);
+          item.transactions.forEach(transaction => {
+            report.push(`   ${transaction.status === 'ok' ? '✓' : '✗'} ${transaction.name}: ${transaction.error || `${transaction.totalTime}ms`}`);
+            transaction.steps.forEach((step, index) => {
+              const failed = index === transaction.failedStepIndex;
+              const icon = step.status === 'ok' ? '✓' : (step.status === 'skipped' ? '⏭' : '✗');
+              const detail = step.status === 'skipped'
+                ? 'לא הורץ'
+                : (step.error || `HTTP ${step.statusCode} | ${step.responseTime}ms`);
+              report.push(`      ${failed ? '👉 ' : ''}${index + 1}. ${icon} ${step.name} (${step.method} ${step.url}): ${detail}`);
+              step.failures.forEach(f => {
+                report.push(`         ❗ [${f.assertion}] ${f.message}`);
+              });
+            });
+          });
+          if (item.status !== 'ok') report.push(`   🔧 הרץ את התרחיש ידנית מהשלב שנכשל`);
+          report.push('');
+        });
+      } else {
+        report.push('   אין נתונים');
+        report.push('');
+      }
     }
     
     // Links Results
@@ -233,7 +837,10 @@ class ReportGenerator {
         results.links.details.forEach(item => {
           const brokenLinks = this.extractBrokenLinks(item);
           const brokenCount = brokenLinks.length || item.totalBrokenLinks || 0;
-          const isHealthy = brokenCount === 0;
+          const missingCritical = item.missingCriticalLinks || [];
+          const brokenAnchors = item.brokenAnchors || [];
+          const activeMixed = (item.mixedContent || []).filter(m => m.kind === 'active');
+          const isHealthy = brokenCount === 0 && missingCritical.length === 0 && activeMixed.length === 0;
           const status = isHealthy ? '✅' : '❌';
           
           report.push(`${status} ${item.siteName}`);
@@ -245,22 +852,103 @@ class ReportGenerator {
             report.push(`   ❌ נמצאו ${brokenLinks.length} לינקים שבורים:`);
             brokenLinks.forEach((link, index) => {
               report.push('');
-              report.push(`   ┌─ [${index + 1}/${brokenLinks.length}] לינק שבור`);
+              report.push(`   ┌─ [${index + 1}/${brokenLinks.length}] ${link.critical ? `⭐ לינק קריטי שבור: ${link.critical}` : 'לינק שבור'}`);
               report.push(`   │  🔗 URL: ${link.url || link.href || 'לא ידוע'}`);
-              report.push(`   │  📄 נמצא בעמוד: ${link.foundOn || link.page || item.baseUrl}`);
+              report.push(`   │  📄 נמצא בעמוד: ${link.foundOn || link.page || item.baseUrl}${link.line ? ` (שורה ${link.line})` : ''}`);
+              if (link.element) report.push(`   │  🏷️ אלמנט: <${link.element}>${link.rel ? ` rel="${link.rel}"` : ''}${link.target ? ` target="${link.target}"` : ''}`);
               if (link.text) report.push(`   │  📝 טקסט הלינק: "${link.text}"`);
               report.push(`   │  🔢 סטטוס HTTP: ${link.statusCode || link.status || 'לא זמין'}`);
               if (link.error) report.push(`   │  ❌ שגיאה: ${link.error}`);
               if (link.redirectTo) report.push(`   │  ↪️ מפנה ל: ${link.redirectTo}`);
+              if (link.failures) report.push(`   │  🔁 נכשל ${link.failures} בדיקות ברצף`);
               report.push(`   └─ 🔧 פתח את העמוד ותקן את הלינק`);
             });
           } else if (!isHealthy && brokenCount > 0) {
             // totalBrokenLinks > 0 but no detail array — data missing
             report.push(`   ❌ נמצאו ${brokenCount} לינקים שבורים`);
             report.push(`   ⚠️ פירוט לינקים לא זמין - בדוק: ${this.getActionsLink()}`);
-          } else {
+          } else if (missingCritical.length === 0 && brokenAnchors.length === 0 && activeMixed.length === 0) {
             report.push(`   ✓ כל הלינקים תקינים`);
           }
+          if (item.mixedContent && item.mixedContent.length > 0) {
+            report.push(`   🔓 תוכן מעורב (משאבים ב-http:// בעמוד HTTPS):`);
+            item.mixedContent.forEach(m => {
+              report.push(`      ${m.kind === 'active' ? '🔴 פעיל' : '⚠️ פסיבי'} <${m.element}> ${m.url}`);
+              report.push(`        📄 בעמוד: ${m.foundOn}${m.line ? ` (שורה ${m.line})` : ''}`);
+            });
+            report.push(`      🔧 החלף ל-https:// (תוכן פעיל נחסם בדפדפן)`);
+          }
+          (item.insecureLinks || []).forEach(link => {
+            report.push(`   🔓 לינק http:// לדומיין שלנו: ${link.url} (בעמוד ${link.foundOn}${link.line ? `, שורה ${link.line}` : ''})`);
+          });
+          if (brokenAnchors.length > 0) {
+            report.push(`   ⚓ נמצאו ${brokenAnchors.length} עוגנים שבורים (אין אלמנט עם id/name מתאים):`);
+            brokenAnchors.forEach(anchor => {
+              report.push(`      • ${anchor.href}${anchor.text ? ` "${anchor.text}"` : ''}`);
+              report.push(`        📄 בעמוד: ${anchor.foundOn}${anchor.line ? ` (שורה ${anchor.line})` : ''}`);
+            });
+            report.push(`      🔧 הוסף id="..." לאזור היעד או תקן את הלינק`);
+          }
+          missingCritical.forEach(link => {
+            report.push(`   🚫 לינק קריטי חסר: ${link.name}${link.href ? ` (${link.href})` : ''}`);
+            report.push(`      📄 עמוד: ${link.page} - ${link.error}`);
+            report.push(`      🔧 החזר את הלינק לעמוד או עדכן את criticalLinks`);
+          });
+          (item.crossDomainRedirects || []).forEach(link => {
+            report.push(`   ↪️ מפנה לדומיין אחר: ${link.url} → ${link.redirectTo} (בעמוד ${link.foundOn})`);
+          });
+          (item.timedOutLinks || []).forEach(link => {
+            report.push(`   ⏱️ לא ענה בזמן: ${link.url} (בעמוד ${link.foundOn})`);
+          });
+          (item.failingLinks || []).forEach(link => {
+            report.push(`   🟡 נכשל ${link.failures} בדיקות ברצף (עדיין לא נספר כשבור): ${link.url} → ${link.error || link.statusCode}`);
+          });
+          if (item.blockedLinks && item.blockedLinks.length > 0) {
+            report.push(`   ⛔ ${item.blockedLinks.length} לינקים חסומים ע"י הגנת בוטים (לא נספרים כשבורים):`);
+            item.blockedLinks.forEach(link => report.push(`      • ${link.url} (${link.statusCode})`));
+          }
+          if (item.crawl) {
+            report.push(`   🕸️ ${this.describeCrawl(item.crawl)}`);
+            if (item.crawl.undeclaredPages.length > 0) {
+              report.push(`   🆕 עמודים שנמצאו בסריקה ולא מוגדרים ב-sites.json:`);
+              item.crawl.undeclaredPages.slice(0, 10).forEach(page => {
+                report.push(`      • ${page.url} (נמצא ב: ${page.foundOn})`);
+              });
+              if (item.crawl.undeclaredPages.length > 10) report.push(`      ועוד ${item.crawl.undeclaredPages.length - 10}`);
+            }
+            item.crawl.unreachablePages.forEach(page => {
+              report.push(`   🏝️ עמוד מוגדר שהסריקה לא מגיעה אליו: ${page.name} (${page.url})`);
+            });
+          }
+          report.push('');
+        });
+      } else {
+        report.push('   אין נתונים');
+        report.push('');
+      }
+    }
+    
+    // Performance Budget Results
+    if (results.budget) {
+      report.push('─'.repeat(60));
+      report.push('📦 תקציב ביצועים (משקל עמודים)');
+      report.push('─'.repeat(60));
+      
+      if (results.budget.details && results.budget.details.length > 0) {
+        results.budget.details.forEach(item => {
+          const icons = { ok: '✅', warning: '⚠️', error: '❌' };
+          report.push(`${icons[item.status] || '❓'} ${item.siteName}`);
+          item.pages.forEach(page => {
+            if (page.error) {
+              report.push(`   ✗ ${page.pageName || page.pageUrl}: ${page.error}`);
+              return;
+            }
+            report.push(`   ${page.status === 'ok' ? '✓' : '⚠'} ${page.pageName || page.pageUrl}: ${this.formatBytes(page.totalBytes)} סה"כ, ${page.requests} בקשות`);
+            report.push(`      📦 ${this.describePageWeight(page)}`);
+            page.overruns.forEach(o => report.push(`      ❗ חריגה מהתקציב: ${o.message}`));
+            page.regressions.forEach(r => report.push(`      📈 רגרסיה מהריצה הקודמת: ${r.message}`));
+          });
+          if (item.status === 'warning') report.push(`   🔧 בדוק מה נוסף לעמוד מאז הפריסה האחרונה`);
           report.push('');
         });
       } else {
@@ -409,10 +1097,133 @@ class ReportGenerator {
           if (item.validTo) html += `<div class="item-detail">תאריך: ${new Date(item.validTo).toLocaleDateString('he-IL')}</div>`;
         }
         if (item.issuer) html += `<div class="item-detail">מנפיק: ${item.issuer}</div>`;
+        (item.failures || []).forEach(f => {
+          html += `<div class="item-detail" style="color:#ff6b6b;">❌ ${f.reason}</div>`;
+        });
         if (item.error) html += `<div class="item-detail" style="color:#ff6b6b;">❌ ${item.error}</div>`;
         if (!isHealthy || isWarning) html += `<div class="fix-hint">🔧 לתיקון: Vercel → Settings → Domains → Refresh SSL</div>`;
         html += `</div>`;
       });
+      if (results.ssl.domains && results.ssl.domains.length > 0) {
+        html += `<div class="item"><div class="item-name">🌐 כיסוי דומיינים (SAN)</div><table class="pages-table">`;
+        results.ssl.domains.forEach(item => {
+          const color = item.status === 'ok' ? '#51cf66' : (item.status === 'warning' ? '#ffd43b' : '#ff6b6b');
+          const port = item.port && item.port !== 443 ? `:${item.port}` : '';
+          html += `<tr>
+            <td style="color:${color}">${item.sanCovered ? '✓' : '✗'} ${item.domain}${port}</td>
+            <td style="color:#888;">${item.project || (item.variantOf ? `← ${item.variantOf}` : '')}</td>
+            <td style="color:${color};font-size:11px;">${item.status === 'ok' ? `${item.daysRemaining} ימים` : this.describeDomainCoverage(item)}</td>
+          </tr>`;
+        });
+        html += `</table></div>`;
+      }
+      if (results.ssl.changes && results.ssl.changes.length > 0) {
+        html += `<div class="item"><div class="item-name">📜 שינויי תעודות מאז הריצה הקודמת</div>`;
+        results.ssl.changes.forEach(change => {
+          const color = change.status === 'critical' ? '#ff6b6b' : (change.status === 'warning' ? '#ffd43b' : '#ccc');
+          html += `<div class="item-detail" style="color:${color};">${change.siteName || change.hostname} (${change.hostname}): ${change.message}</div>`;
+        });
+        html += `</div>`;
+      }
+      html += `</div>`;
+    }
+
+    // TLS Audit Section
+    if (results.tls && results.tls.details) {
+      html += `<div class="section"><div class="section-title">🛡️ הקשחת TLS</div>`;
+      results.tls.details.forEach(item => {
+        const itemClass = item.status === 'ok' ? 'healthy' : (item.status === 'warning' ? 'warning' : 'error');
+        const icon = item.status === 'ok' ? '✅' : (item.status === 'warning' ? '⚠️' : '❌');
+        html += `<div class="item ${itemClass}">
+          <div class="item-name">${icon} ${item.siteName || item.hostname}</div>
+          <div class="item-url">${item.url}${item.port && item.port !== 443 ? ` (פורט ${item.port})` : ''}</div>`;
+        if (item.acceptedProtocols && item.acceptedProtocols.length > 0) {
+          html += `<div class="item-detail">פרוטוקולים: <strong>${item.acceptedProtocols.join(', ')}</strong></div>`;
+          html += `<div class="item-detail">צפנים נתמכים: ${item.cipherCount} | Forward Secrecy: ${item.forwardSecrecy ? '✓' : '✗'}</div>`;
+        }
+        if (item.key) html += `<div class="item-detail">מפתח: ${item.key.type} ${item.key.bits} bits</div>`;
+        if (item.note) html += `<div class="item-detail">ℹ️ ${item.note}</div>`;
+        (item.warnings || []).forEach(w => {
+          html += `<div class="item-detail" style="color:#ffd43b;">⚠️ ${w.message}</div>`;
+        });
+        if (item.error) html += `<div class="item-detail" style="color:#ff6b6b;">❌ ${item.error}</div>`;
+        if (item.warnings && item.warnings.length > 0) html += `<div class="fix-hint">🔧 בדוק הגדרות TLS ב-CDN / אחסון</div>`;
+        html += `</div>`;
+      });
+      html += `</div>`;
+    }
+
+    // DNS Section
+    if (results.dns && results.dns.details) {
+      html += `<div class="section"><div class="section-title">🌐 רשומות DNS</div>`;
+      results.dns.details.forEach(item => {
+        const itemClass = item.status === 'ok' ? 'healthy' : (item.status === 'warning' ? 'warning' : 'error');
+        const icon = item.status === 'ok' ? '✅' : (item.status === 'warning' ? '⚠️' : '❌');
+        const records = item.records || {};
+        html += `<div class="item ${itemClass}">
+          <div class="item-name">${icon} ${item.domain}</div>`;
+        if (item.siteName) html += `<div class="item-url">${item.siteName}</div>`;
+        ['CNAME', 'A', 'AAAA', 'NS'].forEach(type => {
+          if (records[type] && records[type].length > 0) {
+            html += `<div class="item-detail">${type}: ${records[type].join(', ')}</div>`;
+          }
+        });
+        (item.issues || []).forEach(i => {
+          const color = i.status === 'warning' ? '#ffd43b' : '#ff6b6b';
+          html += `<div class="item-detail" style="color:${color};">${i.status === 'warning' ? '⚠️' : '❌'} ${i.message}</div>`;
+        });
+        if (item.status === 'critical' || item.status === 'error') {
+          html += `<div class="fix-hint">🔧 בדוק את רשומות ה-DNS אצל הרשם / Vercel → Domains</div>`;
+        }
+        html += `</div>`;
+      });
+      html += `</div>`;
+    }
+
+    // Domain Registration Section
+    if (results.domainExpiry && results.domainExpiry.details) {
+      html += `<div class="section"><div class="section-title">📇 רישום דומיינים</div>`;
+      results.domainExpiry.details.forEach(item => {
+        const isWarning = item.status === 'warning' || item.status === 'unavailable';
+        const itemClass = item.status === 'ok' ? 'healthy' : (isWarning ? 'warning' : 'error');
+        const icon = item.status === 'ok' ? '✅' : (isWarning ? '⚠️' : '❌');
+        html += `<div class="item ${itemClass}">
+          <div class="item-name">${icon} ${item.domain}</div>`;
+        if (item.registrar) html += `<div class="item-url">${item.registrar}</div>`;
+        if (item.expiresAt) {
+          const daysColor = item.daysRemaining < 14 ? '#ff6b6b' : item.daysRemaining < 60 ? '#ffd43b' : '#51cf66';
+          html += `<div class="item-detail">תפוגה בעוד: <strong style="color:${daysColor}">${item.daysRemaining} ימים</strong> (${new Date(item.expiresAt).toLocaleDateString('he-IL')})</div>`;
+        }
+        if (item.statusFlags && item.statusFlags.length > 0) html += `<div class="item-detail">סטטוס: ${item.statusFlags.join(', ')}</div>`;
+        if (item.nameservers && item.nameservers.length > 0) html += `<div class="item-detail">NS: ${item.nameservers.join(', ')}</div>`;
+        if (item.status !== 'ok') html += `<div class="item-detail" style="color:${isWarning ? '#ffd43b' : '#ff6b6b'};">${icon} ${this.describeDomainExpiry(item)}</div>`;
+        if (item.status === 'critical' || item.status === 'warning') html += `<div class="fix-hint">🔧 חדש את הדומיין אצל הרשם</div>`;
+        html += `</div>`;
+      });
+      html += `</div>`;
+    }
+
+    // Email Authentication Section
+    if (results.emailAuth && results.emailAuth.details) {
+      html += `<div class="section"><div class="section-title">✉️ אימות דואר (SPF / DKIM / DMARC)</div>`;
+      results.emailAuth.details.forEach(item => {
+        const itemClass = item.status === 'ok' ? 'healthy' : (item.status === 'warning' ? 'warning' : 'error');
+        const icon = item.status === 'ok' ? '✅' : (item.status === 'warning' ? '⚠️' : '❌');
+        html += `<div class="item ${itemClass}">
+          <div class="item-name">${icon} ${item.domain}</div>
+          <div class="item-detail">MX: ${item.mx && item.mx.length > 0 ? item.mx.join(', ') : 'אין'}</div>
+          <div class="item-detail">SPF: <span class="item-url">${item.spf ? item.spf.record : 'אין'}</span>${item.spf ? ` (${item.spf.lookups} lookups)` : ''}</div>
+          <div class="item-detail">DMARC: <span class="item-url">${item.dmarc ? item.dmarc.record : 'אין'}</span></div>`;
+        (item.dkim || []).forEach(d => {
+          html += `<div class="item-detail">DKIM ${d.selector}: <span class="badge ${d.found ? 'badge-ok' : 'badge-error'}">${d.found ? '✓' : '✗'}</span></div>`;
+        });
+        (item.issues || []).forEach(i => {
+          const color = i.status === 'warning' ? '#ffd43b' : '#ff6b6b';
+          html += `<div class="item-detail" style="color:${color};">${i.status === 'warning' ? '⚠️' : '❌'} ${i.message}</div>`;
+        });
+        if (item.status !== 'ok') html += `<div class="fix-hint">🔧 עדכן את רשומות ה-TXT ב-DNS של הדומיין</div>`;
+        html += `</div>`;
+      });
       html += `</div>`;
     }
 
@@ -420,7 +1231,7 @@ class ReportGenerator {
     if (results.uptime && results.uptime.details) {
       html += `<div class="section"><div class="section-title">⬆️ זמינות ומהירות</div>`;
       results.uptime.details.forEach(item => {
-        const isHealthy = item.overallStatus === 'ok';
+        const isHealthy = item.overallStatus === 'ok' && !item.redirectViolations && !item.authViolations;
         const itemClass = isHealthy ? 'healthy' : (item.overallStatus === 'warning' ? 'warning' : 'error');
         const icon = isHealthy ? '✅' : (item.overallStatus === 'warning' ? '⚠️' : '❌');
         html += `<div class="item ${itemClass}">
@@ -428,16 +1239,42 @@ class ReportGenerator {
           <div class="item-url">${item.baseUrl}</div>
           <div class="item-detail">תגובה ממוצעת: <strong>${item.avgResponseTime || 'N/A'}ms</strong></div>`;
         
+        if (item.redirectPolicy) {
+          item.redirectPolicy.violations.forEach(v => {
+            html += `<div class="item-detail" style="color:#ff6b6b;">🚫 [${v.type}] ${v.message}</div>`;
+          });
+        }
+        (item.pages || []).filter(page => page.redirectChain && page.redirectChain.length > 0).forEach(page => {
+          html += `<div class="item-detail" style="font-size:11px;">↪️ ${page.pageName || page.url}: ${this.describeRedirectChain(page)}</div>`;
+        });
+        (item.pages || []).filter(page => page.authCheck).forEach(page => {
+          html += `<div class="item-detail" style="font-size:11px;">🔒 ${page.pageName || page.url}: ${this.describeAuthCheck(page)}</div>`;
+          page.authCheck.violations.forEach(v => {
+            html += `<div class="item-detail" style="color:#ff6b6b;">🚫 [${v.type}] ${v.message}</div>`;
+          });
+        });
+        
         if (item.pages && item.pages.length > 0) {
           html += `<table class="pages-table">`;
           item.pages.forEach(page => {
             const pageOk = page.isUp !== false;
             const color = pageOk ? '#51cf66' : '#ff6b6b';
+            let note = '<td></td>';
+            if (!pageOk && page.error) {
+              const failed = (page.failedAssertions || []).map(f => `[${f.assertion}] ${f.message}`).join('<br>');
+              note = `<td style="color:#ff8888;font-size:11px;">${failed || page.error}${page.attempts ? ` (${page.attempts.length} ניסיונות)` : ''}</td>`;
+            } else if (page.recoveredAfterRetry) {
+              note = `<td style="color:#ffd43b;font-size:11px;">🔁 התאושש בניסיון ${page.attempts.length}</td>`;
+            }
             html += `<tr>
               <td style="color:${color}">${pageOk ? '✓' : '✗'} ${page.pageName || page.url || 'עמוד'}</td>
-              <td style="color:${color};text-align:left;">${page.responseTime ? page.responseTime+'ms' : (page.statusCode || 'N/A')}</td>
-              ${!pageOk && page.error ? `<td style="color:#ff8888;font-size:11px;">${page.error}</td>` : '<td></td>'}
+              <td style="color:${color};text-align:left;">${page.responseStats ? this.formatResponseSpread(page.responseStats) : (page.responseTime ? page.responseTime+'ms' : (page.statusCode || 'N/A'))}</td>
+              ${note}
             </tr>`;
+            if (page.timings) {
+              const slow = page.slowPhases && page.slowPhases.length > 0;
+              html += `<tr><td colspan="3" style="color:${slow ? '#ffd43b' : '#888'};font-size:11px;">⏱️ ${this.describeTimings(page)}</td></tr>`;
+            }
           });
           html += `</table>`;
         }
@@ -448,6 +1285,90 @@ class ReportGenerator {
         }
         html += `</div>`;
       });
+      if (results.uptime.contentChanges && results.uptime.contentChanges.length > 0) {
+        html += `<div class="item"><div class="item-name">📝 שינויי תוכן מאז הריצה הקודמת</div>`;
+        results.uptime.contentChanges.forEach(change => {
+          const color = change.suspicious ? '#ff6b6b' : '#ccc';
+          html += `<div class="item-detail" style="color:${color};">${change.siteName} - ${change.pageName || change.url}: ${change.message}</div>`;
+          change.diff.removedLines.forEach(line => {
+            html += `<div class="item-detail" style="font-family:monospace;">- ${this.escapeHtml(line)}</div>`;
+          });
+          change.diff.addedLines.forEach(line => {
+            html += `<div class="item-detail" style="font-family:monospace;">+ ${this.escapeHtml(line)}</div>`;
+          });
+          if (change.suspicious) {
+            html += `<div class="fix-hint">🔧 ודא שהשינוי נפרס על ידינו - אם לא, בדוק השחתה/פריצה</div>`;
+          }
+        });
+        html += `</div>`;
+      }
+      html += `</div>`;
+    }
+
+    // API Section
+    if (results.api && results.api.details && results.api.details.length > 0) {
+      html += `<div class="section"><div class="section-title">🔌 בדיקות API</div>`;
+      results.api.details.forEach(item => {
+        const isHealthy = item.status === 'ok';
+        html += `<div class="item ${isHealthy ? 'healthy' : 'error'}">
+          <div class="item-name">${isHealthy ? '✅' : '❌'} ${item.siteName}</div>
+          <div class="item-url">${item.baseUrl}</div>
+          <table class="pages-table">`;
+        item.endpoints.forEach(endpoint => {
+          const ok = endpoint.status === 'ok';
+          const color = ok ? '#51cf66' : '#ff6b6b';
+          // Failure messages quote response bodies and headers
+          const detail = endpoint.error
+            ? this.escapeHtml(endpoint.error)
+            : endpoint.failures.map(f => `[${f.assertion}] ${this.escapeHtml(f.message)}`).join('<br>');
+          html += `<tr>
+              <td style="color:${color}">${ok ? '✓' : '✗'} ${this.escapeHtml(endpoint.name)}</td>
+              <td style="color:${color};text-align:left;">${endpoint.error ? 'N/A' : `${endpoint.statusCode} · ${endpoint.responseTime}ms`}</td>
+              <td style="color:#ff8888;font-size:11px;">${ok ? '' : detail}</td>
+            </tr>`;
+        });
+        html += `</table>`;
+        if (!isHealthy) {
+          html += `<div class="fix-hint">🔧 בדוק את לוגי ה-API ב-Vercel</div>`;
+          html += `<a href="${this.getActionsLink()}" class="logs-link">📋 לוגים</a>`;
+        }
+        html += `</div>`;
+      });
+      html += `</div>`;
+    }
+
+    // Transactions Section
+    if (results.transactions && results.transactions.details && results.transactions.details.length > 0) {
+      html += `<div class="section"><div class="section-title">🧭 תרחישים (Transactions)</div>`;
+      results.transactions.details.forEach(item => {
+        const isHealthy = item.status === 'ok';
+        html += `<div class="item ${isHealthy ? 'healthy' : 'error'}">
+          <div class="item-name">${isHealthy ? '✅' : '❌'} ${item.siteName}</div>
+          <div class="item-url">${item.baseUrl}</div>`;
+        item.transactions.forEach(transaction => {
+          const ok = transaction.status === 'ok';
+          html += `<div class="item-detail"><strong>${ok ? '✓' : '✗'} ${this.escapeHtml(transaction.name)}</strong> · ${transaction.error ? this.escapeHtml(transaction.error) : `${transaction.totalTime}ms`}</div>
+          <table class="pages-table">`;
+          transaction.steps.forEach((step, index) => {
+            const failed = index === transaction.failedStepIndex;
+            const color = step.status === 'ok' ? '#51cf66' : (step.status === 'skipped' ? '#888' : '#ff6b6b');
+            const detail = step.error
+              ? this.escapeHtml(step.error)
+              : step.failures.map(f => `[${f.assertion}] ${this.escapeHtml(f.message)}`).join('<br>');
+            html += `<tr${failed ? ' style="background:#ff6b6b22;font-weight:bold;"' : ''}>
+              <td style="color:${color}">${index + 1}. ${this.escapeHtml(step.name)}</td>
+              <td style="color:${color};text-align:left;">${step.status === 'skipped' ? 'לא הורץ' : (step.statusCode ? `${step.statusCode} · ${step.responseTime}ms` : 'N/A')}</td>
+              <td style="color:#ff8888;font-size:11px;">${step.status === 'ok' || step.status === 'skipped' ? '' : detail}</td>
+            </tr>`;
+          });
+          html += `</table>`;
+        });
+        if (!isHealthy) {
+          html += `<div class="fix-hint">🔧 הרץ את התרחיש ידנית מהשלב שנכשל</div>`;
+          html += `<a href="${this.getActionsLink()}" class="logs-link">📋 לוגים</a>`;
+        }
+        html += `</div>`;
+      });
       html += `</div>`;
     }
 
@@ -457,7 +1378,10 @@ class ReportGenerator {
       results.links.details.forEach(item => {
         const brokenLinks = this.extractBrokenLinks(item);
         const brokenCount = brokenLinks.length || item.totalBrokenLinks || 0;
-        const isHealthy = brokenCount === 0;
+        const missingCritical = item.missingCriticalLinks || [];
+        const brokenAnchors = item.brokenAnchors || [];
+        const activeMixed = (item.mixedContent || []).filter(m => m.kind === 'active');
+        const isHealthy = brokenCount === 0 && missingCritical.length === 0 && activeMixed.length === 0;
         const itemClass = isHealthy ? 'healthy' : 'error';
         const icon = isHealthy ? '✅' : '❌';
         
@@ -472,14 +1396,16 @@ class ReportGenerator {
           html += `<div class="broken-links-container">`;
           brokenLinks.forEach((link, i) => {
             html += `<div class="broken-link">
-              <div class="broken-link-num">🔴 לינק שבור #${i+1}</div>
+              <div class="broken-link-num">🔴 ${link.critical ? `⭐ לינק קריטי שבור: ${this.escapeHtml(link.critical)}` : 'לינק שבור'} #${i+1}</div>
               <div class="broken-link-detail"><strong>URL:</strong></div>
               <div class="broken-link-url">${link.url || link.href || 'לא ידוע'}</div>
-              <div class="broken-link-detail"><strong>נמצא בעמוד:</strong> ${link.foundOn || link.page || item.baseUrl}</div>
-              ${link.text ? `<div class="broken-link-detail"><strong>טקסט:</strong> "${link.text}"</div>` : ''}
+              <div class="broken-link-detail"><strong>נמצא בעמוד:</strong> ${link.foundOn || link.page || item.baseUrl}${link.line ? ` (שורה ${link.line})` : ''}</div>
+              ${link.element ? `<div class="broken-link-detail"><strong>אלמנט:</strong> ${this.escapeHtml(`<${link.element}>`)}${link.rel ? ` rel="${this.escapeHtml(link.rel)}"` : ''}${link.target ? ` target="${this.escapeHtml(link.target)}"` : ''}</div>` : ''}
+              ${link.text ? `<div class="broken-link-detail"><strong>טקסט:</strong> "${this.escapeHtml(link.text)}"</div>` : ''}
               <div class="broken-link-detail"><strong>סטטוס HTTP:</strong> <span class="badge badge-error">${link.statusCode || link.status || 'N/A'}</span></div>
               ${link.error ? `<div class="broken-link-detail" style="color:#ff8888;"><strong>שגיאה:</strong> ${link.error}</div>` : ''}
               ${link.redirectTo ? `<div class="broken-link-detail"><strong>מפנה ל:</strong> ${link.redirectTo}</div>` : ''}
+              ${link.failures ? `<div class="broken-link-detail"><strong>נכשל:</strong> ${link.failures} בדיקות ברצף</div>` : ''}
             </div>`;
           });
           html += `</div>`;
@@ -488,9 +1414,105 @@ class ReportGenerator {
         } else if (!isHealthy && brokenCount > 0) {
           html += `<div class="item-detail" style="color:#ff6b6b;">❌ נמצאו ${brokenCount} לינקים שבורים - פירוט בלוגים</div>`;
           html += `<a href="${this.getActionsLink()}" class="logs-link">📋 ראה לוגים מלאים</a>`;
-        } else {
+        } else if (missingCritical.length === 0 && brokenAnchors.length === 0 && activeMixed.length === 0) {
           html += `<div class="item-detail" style="color:#51cf66;">✓ כל הלינקים תקינים</div>`;
         }
+        if (item.mixedContent && item.mixedContent.length > 0) {
+          html += `<div class="item-detail" style="margin:8px 0;">🔓 תוכן מעורב (משאבים ב-http:// בעמוד HTTPS):</div>`;
+          html += `<table class="pages-table">`;
+          item.mixedContent.forEach(m => {
+            const color = m.kind === 'active' ? '#ff6b6b' : '#ffd43b';
+            html += `<tr><td style="color:${color};">${m.kind === 'active' ? 'פעיל' : 'פסיבי'}</td>` +
+              `<td>${this.escapeHtml(`<${m.element}>`)} ${m.url}</td>` +
+              `<td style="color:#888;font-size:11px;">${m.foundOn}${m.line ? ` (שורה ${m.line})` : ''}</td></tr>`;
+          });
+          html += `</table>`;
+          html += `<div class="fix-hint">🔧 החלף ל-https:// (תוכן פעיל נחסם בדפדפן)</div>`;
+        }
+        (item.insecureLinks || []).forEach(link => {
+          html += `<div class="item-detail" style="color:#ffd43b;">🔓 לינק http:// לדומיין שלנו: ${link.url} (בעמוד ${link.foundOn})</div>`;
+        });
+        if (brokenAnchors.length > 0) {
+          html += `<div class="item-detail" style="color:#ffd43b;margin:8px 0;">⚓ נמצאו <strong>${brokenAnchors.length}</strong> עוגנים שבורים (אין אלמנט עם id/name מתאים):</div>`;
+          html += `<table class="pages-table">`;
+          brokenAnchors.forEach(anchor => {
+            html += `<tr><td>${this.escapeHtml(anchor.href)}</td>` +
+              `<td>${anchor.text ? `"${this.escapeHtml(anchor.text)}"` : ''}</td>` +
+              `<td style="color:#888;font-size:11px;">${anchor.foundOn}${anchor.line ? ` (שורה ${anchor.line})` : ''}</td></tr>`;
+          });
+          html += `</table>`;
+          html += `<div class="fix-hint">🔧 הוסף id="..." לאזור היעד או תקן את הלינק</div>`;
+        }
+        missingCritical.forEach(link => {
+          html += `<div class="item-detail" style="color:#ff6b6b;">🚫 לינק קריטי חסר: <strong>${this.escapeHtml(link.name)}</strong>${link.href ? ` (${this.escapeHtml(link.href)})` : ''} - ${link.page} - ${link.error}</div>`;
+        });
+        if (missingCritical.length > 0) {
+          html += `<div class="fix-hint">🔧 החזר את הלינק לעמוד או עדכן את criticalLinks</div>`;
+        }
+        (item.crossDomainRedirects || []).forEach(link => {
+          html += `<div class="item-detail" style="color:#ffd43b;">↪️ מפנה לדומיין אחר: ${link.url} → ${link.redirectTo}</div>`;
+        });
+        (item.timedOutLinks || []).forEach(link => {
+          html += `<div class="item-detail" style="color:#ffd43b;">⏱️ לא ענה בזמן: ${link.url}</div>`;
+        });
+        (item.failingLinks || []).forEach(link => {
+          html += `<div class="item-detail" style="color:#ffd43b;">🟡 נכשל ${link.failures} בדיקות ברצף (עדיין לא נספר כשבור): ${link.url} → ${link.error || link.statusCode}</div>`;
+        });
+        if (item.blockedLinks && item.blockedLinks.length > 0) {
+          html += `<div class="item-detail" style="color:#888;">⛔ ${item.blockedLinks.length} לינקים חסומים ע"י הגנת בוטים (לא נספרים כשבורים): ` +
+            `${item.blockedLinks.map(link => `${link.url} (${link.statusCode})`).join(', ')}</div>`;
+        }
+        if (item.crawl) {
+          html += `<div class="item-detail">🕸️ ${this.describeCrawl(item.crawl)}</div>`;
+          if (item.crawl.undeclaredPages.length > 0) {
+            html += `<div class="item-detail">🆕 עמודים שנמצאו בסריקה ולא מוגדרים ב-sites.json:</div>`;
+            html += `<table class="pages-table">`;
+            item.crawl.undeclaredPages.slice(0, 10).forEach(page => {
+              html += `<tr><td>${this.escapeHtml(page.url)}</td><td style="color:#888;font-size:11px;">${this.escapeHtml(page.foundOn)}</td></tr>`;
+            });
+            html += `</table>`;
+            if (item.crawl.undeclaredPages.length > 10) {
+              html += `<div class="item-detail">ועוד ${item.crawl.undeclaredPages.length - 10}</div>`;
+            }
+          }
+          item.crawl.unreachablePages.forEach(page => {
+            html += `<div class="item-detail" style="color:#ffd43b;">🏝️ עמוד מוגדר שהסריקה לא מגיעה אליו: ${page.name} (${page.url})</div>`;
+          });
+        }
+        html += `</div>`;
+      });
+      html += `</div>`;
+    }
+
+    // Performance Budget Section
+    if (results.budget && results.budget.details && results.budget.details.length > 0) {
+      html += `<div class="section"><div class="section-title">📦 תקציב ביצועים (משקל עמודים)</div>`;
+      results.budget.details.forEach(item => {
+        const itemClass = item.status === 'ok' ? 'healthy' : item.status;
+        const icons = { ok: '✅', warning: '⚠️', error: '❌' };
+        html += `<div class="item ${itemClass}">
+          <div class="item-name">${icons[item.status] || '❓'} ${item.siteName}</div>
+          <div class="item-url">${item.baseUrl}</div>
+          <table class="pages-table">`;
+        item.pages.forEach(page => {
+          const color = page.status === 'ok' ? '#51cf66' : (page.status === 'warning' ? '#ffd43b' : '#ff6b6b');
+          const issues = page.error ? [page.error] : page.overruns.concat(page.regressions).map(i => i.message);
+          html += `<tr>
+              <td style="color:${color}">${page.pageName || page.pageUrl}</td>
+              <td style="color:${color};text-align:left;">${page.error ? 'N/A' : `${this.formatBytes(page.totalBytes)} · ${page.requests} req`}</td>
+            </tr>`;
+          if (!page.error) {
+            html += `<tr><td colspan="2" style="color:#888;font-size:10px;">${this.describePageWeight(page)}</td></tr>`;
+          }
+          if (issues.length > 0) {
+            html += `<tr><td colspan="2" style="color:#ff8888;font-size:11px;">${issues.join('<br>')}</td></tr>`;
+          }
+        });
+        html += `</table>`;
+        if (item.status !== 'ok') {
+          html += `<div class="fix-hint">🔧 בדוק מה נוסף לעמוד מאז הפריסה האחרונה</div>`;
+          html += `<a href="${this.getActionsLink()}" class="logs-link">📋 לוגים</a>`;
+        }
         html += `</div>`;
       });
       html += `</div>`;
@@ -556,10 +1578,10 @@ class ReportGenerator {
       if (criticalIssues.length > 0 || warnings.length > 0) {
         html += `<div class="summary-section"><div class="summary-title">📋 סיכום - מה צריך טיפול</div>`;
         criticalIssues.forEach(issue => {
-          html += `<div class="summary-item">🔴 <strong>${issue.type.toUpperCase()}</strong> | ${issue.site}: ${issue.message}</div>`;
+          html += `<div class="summary-item">🔴 <strong>${issue.type.toUpperCase()}</strong> | ${issue.site}: ${this.escapeHtml(issue.message)}</div>`;
         });
         warnings.forEach(w => {
-          html += `<div class="summary-item">🟡 <strong>${w.type.toUpperCase()}</strong> | ${w.site}: ${w.message}</div>`;
+          html += `<div class="summary-item">🟡 <strong>${w.type.toUpperCase()}</strong> | ${w.site}: ${this.escapeHtml(w.message)}</div>`;
         });
         html += `</div>`;
       }
@@ -0,0 +1,504 @@
+/**
+ * 🦎 QA Iguana Agent - API Checker
+ * Calls backend endpoints and asserts on status, JSON schema and JSON-path values
+ */
+
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const Scheduler = require('../lib/scheduler');
+const { buildAuthHeaders } = require('../lib/auth');
+
+// JSON-path assertion: "$.path <op> <JSON value>", or a bare "$.path" that must exist
+const JSON_ASSERTION = /^(\$[^\s=!<>]*)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+
+class ApiChecker {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.scheduler = options.scheduler || new Scheduler();
+    this.env = options.env || process.env;
+  }
+
+  /**
+   * Build the request headers, including auth taken from env vars
+   * @param {object} endpoint - Endpoint config
+   * @returns {object} { headers, error }
+   */
+  buildHeaders(endpoint) {
+    const headers = {
+      'User-Agent': 'QA-Iguana-Agent/1.0',
+      'Accept': 'application/json',
+      ...(endpoint.headers || {})
+    };
+    const auth = buildAuthHeaders(endpoint.auth, this.env);
+    return { headers: { ...headers, ...auth.headers }, error: auth.error };
+  }
+
+  /**
+   * Send the endpoint request
+   * @param {string} urlString - Endpoint URL
+   * @param {object} endpoint - Endpoint config
+   * @param {object} headers - Request headers
+   * @returns {Promise<object>} { statusCode, headers, body, responseTime, error }
+   */
+  async request(urlString, endpoint, headers) {
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+
+      try {
+        const url = new URL(urlString);
+        const protocol = url.protocol === 'https:' ? https : http;
+        let payload = null;
+
+        if (endpoint.body !== undefined && endpoint.body !== null) {
+          payload = typeof endpoint.body === 'string' ? endpoint.body : JSON.stringify(endpoint.body);
+          if (typeof endpoint.body !== 'string' && !Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+            headers['Content-Type'] = 'application/json';
+          }
+          headers['Content-Length'] = Buffer.byteLength(payload);
+        }
+
+        const options = {
+          hostname: url.hostname,
+          port: url.port || (url.protocol === 'https:' ? 443 : 80),
+          path: url.pathname + url.search,
+          method: (endpoint.method || 'GET').toUpperCase(),
+          timeout: this.timeout,
+          headers
+        };
+
+        const req = protocol.request(options, (res) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: Buffer.concat(chunks).toString('utf8'),
+              responseTime: Date.now() - startTime
+            });
+          });
+        });
+
+        req.on('error', (error) => {
+          resolve({ statusCode: 0, error: error.message, responseTime: Date.now() - startTime });
+        });
+
+        req.on('timeout', () => {
+          req.destroy();
+          resolve({ statusCode: 0, error: 'Connection timeout', responseTime: Date.now() - startTime });
+        });
+
+        if (payload !== null) req.write(payload);
+        req.end();
+      } catch (error) {
+        resolve({ statusCode: 0, error: error.message, responseTime: Date.now() - startTime });
+      }
+    });
+  }
+
+  /**
+   * Resolve a JSON path such as $.data.items[0].id or $['some key']
+   * @param {*} data - Parsed JSON
+   * @param {string} path - JSON path starting with $
+   * @returns {object} { found, value }
+   */
+  resolvePath(data, path) {
+    const segments = [];
+    const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+    const rest = path.slice(1);
+    let match;
+    let consumed = 0;
+
+    while ((match = pattern.exec(rest)) !== null) {
+      if (match.index !== consumed) return { found: false, value: undefined };
+      segments.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? Number(match[2]) : match[3]));
+      consumed = pattern.lastIndex;
+    }
+    if (consumed !== rest.length) return { found: false, value: undefined };
+
+    let value = data;
+    for (const segment of segments) {
+      if (value === null || typeof value !== 'object' || !(segment in value)) {
+        return { found: false, value: undefined };
+      }
+      value = value[segment];
+    }
+
+    return { found: true, value };
+  }
+
+  /**
+   * Evaluate a JSON-path assertion such as '$.status == "ok"'
+   * @param {*} data - Parsed JSON
+   * @param {string} expression - Assertion expression
+   * @returns {object|null} Failure, or null when the assertion holds
+   */
+  evaluateJsonAssertion(data, expression) {
+    const match = JSON_ASSERTION.exec(expression.trim());
+    const path = match ? match[1] : expression.trim();
+    const resolved = this.resolvePath(data, path);
+
+    if (!match) {
+      return resolved.found
+        ? null
+        : { assertion: 'json', expected: expression, actual: undefined, message: `${path} not found` };
+    }
+
+    let expected;
+    try {
+      expected = JSON.parse(match[3]);
+    } catch (error) {
+      return { assertion: 'json', expected: expression, actual: undefined, message: `Invalid expected value in "${expression}"` };
+    }
+
+    const actual = resolved.value;
+    const operator = match[2];
+    let holds = false;
+    if (resolved.found) {
+      if (operator === '==') holds = JSON.stringify(actual) === JSON.stringify(expected);
+      else if (operator === '!=') holds = JSON.stringify(actual) !== JSON.stringify(expected);
+      else if (operator === '>') holds = actual > expected;
+      else if (operator === '>=') holds = actual >= expected;
+      else if (operator === '<') holds = actual < expected;
+      else if (operator === '<=') holds = actual <= expected;
+    }
+
+    if (holds) return null;
+    return {
+      assertion: 'json',
+      expected: expression,
+      actual,
+      message: resolved.found
+        ? `${expression} failed - got ${JSON.stringify(actual)}`
+        : `${expression} failed - ${path} not found`
+    };
+  }
+
+  /**
+   * Get the JSON schema type name of a value
+   * @param {*} value - Value
+   * @returns {string} Type name
+   */
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  /**
+   * Validate a value against a JSON schema (type, enum, const, required,
+   * properties, additionalProperties, items, length, pattern and range keywords)
+   * @param {*} value - Value to validate
+   * @param {object} schema - JSON schema
+   * @param {string} path - JSON path of the value, for messages
+   * @returns {Array<object>} Schema errors: { path, message, actual }
+   */
+  validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const add = (message, actual) => errors.push({ path, message: `${path}: ${message}`, actual });
+    const type = this.typeOf(value);
+
+    if (schema.type) {
+      const allowed = [].concat(schema.type);
+      const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+      if (!matches) {
+        add(`expected type ${allowed.join('|')}, got ${type}`, value);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+      add(`expected one of ${JSON.stringify(schema.enum)}, got ${JSON.stringify(value)}`, value);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      add(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`, value);
+    }
+
+    if (type === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) add(`shorter than ${schema.minLength}`, value);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) add(`longer than ${schema.maxLength}`, value);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) add(`does not match ${schema.pattern}`, value);
+    }
+
+    if (type === 'number' || type === 'integer') {
+      if (schema.minimum !== undefined && value < schema.minimum) add(`${value} is below minimum ${schema.minimum}`, value);
+      if (schema.maximum !== undefined && value > schema.maximum) add(`${value} is above maximum ${schema.maximum}`, value);
+    }
+
+    if (type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) add(`has ${value.length} items, expected at least ${schema.minItems}`, value.length);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`has ${value.length} items, expected at most ${schema.maxItems}`, value.length);
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validateSchema(item, schema.items, `${path}[${index}]`)));
+      }
+    }
+
+    if (type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) add(`missing required property "${key}"`, undefined);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (key in value) errors.push(...this.validateSchema(value[key], propertySchema, `${path}.${key}`));
+      });
+      if (schema.additionalProperties === false) {
+        Object.keys(value)
+          .filter(key => !(key in (schema.properties || {})))
+          .forEach(key => add(`unexpected property "${key}"`, value[key]));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve an endpoint's URL against the site URL
+   * @param {object} site - Site configuration
+   * @param {object} endpoint - Endpoint config from site.apiChecks
+   * @returns {object} { url, error } - url is null when the config is not a valid URL
+   */
+  resolveUrl(site, endpoint) {
+    try {
+      return { url: new URL(endpoint.url || endpoint.path, site.url).toString(), error: null };
+    } catch (error) {
+      return { url: null, error: `Invalid endpoint URL "${endpoint.url || endpoint.path}": ${error.message}` };
+    }
+  }
+
+  /**
+   * Call an endpoint and evaluate its assertions
+   * @param {object} site - Site configuration
+   * @param {object} endpoint - Endpoint config from site.apiChecks
+   * @returns {Promise<object>} Endpoint result
+   */
+  async checkEndpoint(site, endpoint) {
+    const { url, error: urlError } = this.resolveUrl(site, endpoint);
+    const method = (endpoint.method || 'GET').toUpperCase();
+    const expect = endpoint.expect || {};
+    const result = {
+      name: endpoint.name || `${method} ${endpoint.path || endpoint.url}`,
+      url: url || endpoint.url || endpoint.path,
+      method,
+      failures: [],
+      status: 'ok',
+      timestamp: new Date().toISOString()
+    };
+
+    if (urlError) {
+      result.error = urlError;
+      result.status = 'error';
+      return result;
+    }
+
+    const { headers, error: authError } = this.buildHeaders(endpoint);
+    if (authError) {
+      result.error = authError;
+      result.status = 'error';
+      return result;
+    }
+
+    const response = await this.request(url, endpoint, headers);
+    result.statusCode = response.statusCode;
+    result.responseTime = response.responseTime;
+
+    if (response.error) {
+      result.error = response.error;
+      result.status = 'error';
+      return result;
+    }
+
+    // Status
+    const expectedStatus = [].concat(expect.status !== undefined ? expect.status : [200]);
+    if (!expectedStatus.includes(response.statusCode)) {
+      result.failures.push({
+        assertion: 'status',
+        expected: expectedStatus.join('|'),
+        actual: response.statusCode,
+        message: `Status ${response.statusCode}, expected ${expectedStatus.join(' or ')}`
+      });
+    }
+
+    // JSON body
+    if (expect.schema || (expect.json && expect.json.length > 0)) {
+      let data;
+      try {
+        data = JSON.parse(response.body);
+      } catch (error) {
+        result.failures.push({
+          assertion: 'json',
+          expected: 'JSON body',
+          actual: (response.headers['content-type'] || 'unknown content type'),
+          message: `Body is not JSON (${response.headers['content-type'] || 'no content type'}): ${response.body.slice(0, 80)}`
+        });
+      }
+
+      if (data !== undefined) {
+        if (expect.schema) {
+          try {
+            this.validateSchema(data, expect.schema).forEach(e => {
+              result.failures.push({ assertion: 'schema', expected: 'schema', actual: e.actual, message: e.message });
+            });
+          } catch (error) {
+            result.failures.push({ assertion: 'schema', expected: 'schema', actual: undefined, message: `Invalid schema: ${error.message}` });
+          }
+        }
+        [].concat(expect.json || []).forEach(expression => {
+          const failure = this.evaluateJsonAssertion(data, expression);
+          if (failure) result.failures.push(failure);
+        });
+      }
+    }
+
+    if (result.failures.length > 0) result.status = 'failed';
+
+    return result;
+  }
+
+  /**
+   * Run every configured API check for a site
+   * @param {object} site - Site configuration with apiChecks
+   * @returns {Promise<object>} Site API results
+   */
+  async checkSite(site) {
+    const endpoints = await this.scheduler.map(site.apiChecks || [],
+      endpoint => Scheduler.hostOf(this.resolveUrl(site, endpoint).url || site.url),
+      (endpoint) => {
+        console.log(`  🔌 ${(endpoint.method || 'GET').toUpperCase()} ${endpoint.url || endpoint.path}`);
+        return this.checkEndpoint(site, endpoint);
+      },
+      endpoint => ({
+        name: endpoint.name || endpoint.path || endpoint.url,
+        url: this.resolveUrl(site, endpoint).url || endpoint.url || endpoint.path,
+        method: (endpoint.method || 'GET').toUpperCase(),
+        failures: [],
+        skipped: true,
+        error: 'Run deadline reached before the check started',
+        status: 'error'
+      }));
+
+    const statuses = endpoints.map(e => e.status);
+    let status = 'ok';
+    if (statuses.includes('failed')) {
+      status = 'failed';
+    } else if (statuses.includes('error')) {
+      status = 'error';
+    }
+
+    return {
+      siteId: site.id,
+      siteName: site.name,
+      baseUrl: site.url,
+      endpoints,
+      status,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run API checks for multiple sites
+   * @param {Array<object>} sites - Sites with apiChecks
+   * @returns {Promise<Array<object>>} Array of site API results
+   */
+  async checkMultipleSites(sites) {
+    // Endpoints are the scheduled unit, so sites themselves all start at once
+    return Promise.all(sites.map(site => {
+      console.log(`🔌 Checking API: ${site.name}`);
+      return this.checkSite(site);
+    }));
+  }
+
+  /**
+   * Generate API check summary
+   * @param {Array<object>} results - Site API results
+   * @returns {object} Summary report
+   */
+  generateSummary(results) {
+    const endpoints = results.flatMap(r => r.endpoints);
+    const summary = {
+      total: endpoints.length,
+      passed: endpoints.filter(e => e.status === 'ok').length,
+      failed: endpoints.filter(e => e.status === 'failed').length,
+      errors: endpoints.filter(e => e.status === 'error').length,
+      details: results
+    };
+
+    summary.allHealthy = summary.failed === 0 && summary.errors === 0;
+
+    return summary;
+  }
+
+  /**
+   * Format result for display
+   * @param {object} result - Site API result
+   * @returns {string} Formatted string
+   */
+  formatResult(result) {
+    const icons = {
+      ok: '✅',
+      failed: '🔴',
+      error: '❌'
+    };
+
+    const lines = [`${icons[result.status] || '❓'} ${result.siteName}: ${result.endpoints.length} endpoint(s)`];
+    result.endpoints.forEach(endpoint => {
+      const icon = icons[endpoint.status] || '❓';
+      if (endpoint.error) {
+        lines.push(`  ${icon} ${endpoint.name}: ${endpoint.error}`);
+      } else {
+        lines.push(`  ${icon} ${endpoint.name}: HTTP ${endpoint.statusCode} in ${endpoint.responseTime}ms`);
+        endpoint.failures.forEach(f => lines.push(`      ✗ [${f.assertion}] ${f.message}`));
+      }
+    });
+
+    return lines.join('\n');
+  }
+}
+
+// Export for use as module
+module.exports = ApiChecker;
+
+// Run standalone if executed directly
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+
+  async function main() {
+    console.log('🦎 QA Iguana Agent - API Check');
+    console.log('==============================\n');
+
+    // Load sites config
+    const configPath = path.join(__dirname, '..', 'config', 'sites.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    const checker = new ApiChecker({
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config)
+    });
+
+    // Filter sites that have API checks enabled
+    const sitesToCheck = config.sites.filter(site => site.checks.api && (site.apiChecks || []).length > 0);
+
+    const results = await checker.checkMultipleSites(sitesToCheck);
+    const summary = checker.generateSummary(results);
+
+    console.log('\n📊 Results:');
+    console.log('===========\n');
+
+    results.forEach(result => {
+      console.log(checker.formatResult(result));
+    });
+
+    console.log('\n📈 Summary:');
+    console.log('===========');
+    console.log(`Total endpoints: ${summary.total}`);
+    console.log(`Passed: ${summary.passed}`);
+    console.log(`Failed assertions: ${summary.failed}`);
+    console.log(`Errors: ${summary.errors}`);
+    console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
+
+    return summary;
+  }
+
+  main().catch(console.error);
+}
@@ -0,0 +1,135 @@
+/**
+ * 🦎 QA Iguana Agent - Certificate History
+ * Tracks certificates between runs and reports renewals and unexpected changes
+ */
+
+const StateStore = require('../lib/state-store');
+
+const STATE_NAME = 'cert-history';
+
+class CertificateHistory {
+  constructor(options = {}) {
+    this.store = options.store || new StateStore();
+    this.renewalWindowDays = options.renewalWindowDays || 30;
+    this.expectedIssuers = options.expectedIssuers || [];
+    this.maxEntries = options.maxEntries || 20;
+  }
+
+  /**
+   * Compare SSL check results with the stored history and record them
+   * @param {Array<object>} results - SSLChecker results
+   * @param {Array<object>} sites - Site configs (for per-site expectedIssuers)
+   * @returns {Array<object>} Changes detected since the last run
+   */
+  track(results, sites = []) {
+    const history = this.store.load(STATE_NAME, { hosts: {} });
+    const now = new Date().toISOString();
+    const changes = [];
+
+    results.forEach(result => {
+      if (result.error || !result.fingerprint) return;
+
+      const site = sites.find(s => s.id === result.siteId) || {};
+      const expectedIssuers = site.expectedIssuers || this.expectedIssuers;
+      const key = result.hostname;
+      const entries = history.hosts[key] || [];
+      const previous = entries[entries.length - 1];
+
+      changes.push(...this.compare(result, previous, expectedIssuers));
+
+      if (previous && previous.fingerprint === result.fingerprint) {
+        previous.lastSeen = now;
+      } else {
+        entries.push({
+          fingerprint: result.fingerprint,
+          issuer: result.issuer,
+          subject: result.subject,
+          validFrom: result.validFrom,
+          validTo: result.validTo,
+          firstSeen: now,
+          lastSeen: now
+        });
+      }
+
+      history.hosts[key] = entries.slice(-this.maxEntries);
+    });
+
+    history.updatedAt = now;
+    this.store.save(STATE_NAME, history);
+
+    return changes;
+  }
+
+  /**
+   * Compare a certificate with the previous one seen for the same host
+   * @param {object} result - SSLChecker result
+   * @param {object|undefined} previous - Last history entry for the host
+   * @param {Array<string>} expectedIssuers - Allowed issuer organisations
+   * @returns {Array<object>} Changes for this host
+   */
+  compare(result, previous, expectedIssuers) {
+    const changes = [];
+    const base = {
+      siteName: result.siteName,
+      siteId: result.siteId,
+      hostname: result.hostname,
+      fingerprint: result.fingerprint,
+      previousFingerprint: previous ? previous.fingerprint : null
+    };
+    const add = (type, status, message) => changes.push({ ...base, type, status, message });
+    const isExpected = expectedIssuers.length === 0 || expectedIssuers.includes(result.issuer);
+
+    if (!previous) {
+      add('first-seen', isExpected ? 'info' : 'critical',
+        `First certificate recorded (${result.issuer}, expires ${result.validTo.split('T')[0]})`);
+      return changes;
+    }
+
+    if (previous.issuer !== result.issuer) {
+      if (isExpected) {
+        add('issuer-changed', 'warning', `Issuer changed: ${previous.issuer} → ${result.issuer}`);
+      } else {
+        add('unexpected-issuer', 'critical',
+          `Issuer changed to unexpected issuer: ${previous.issuer} → ${result.issuer}`);
+      }
+    }
+
+    if (previous.fingerprint !== result.fingerprint) {
+      const previousExpiry = new Date(previous.validTo).getTime();
+      const currentExpiry = new Date(result.validTo).getTime();
+
+      if (currentExpiry > previousExpiry) {
+        add('renewed', 'info',
+          `Certificate renewed: expiry ${previous.validTo.split('T')[0]} → ${result.validTo.split('T')[0]}`);
+      } else if (currentExpiry === previousExpiry) {
+        add('reissued-same-expiry', 'warning',
+          `Fingerprint changed but expiry stayed ${result.validTo.split('T')[0]}`);
+      } else {
+        add('expiry-shortened', 'warning',
+          `New certificate expires earlier: ${previous.validTo.split('T')[0]} → ${result.validTo.split('T')[0]}`);
+      }
+    } else if (result.daysRemaining <= this.renewalWindowDays) {
+      add('renewal-overdue', 'warning',
+        `Certificate not renewed yet - ${result.daysRemaining} days remaining (renewal expected at ${this.renewalWindowDays})`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Format a change for display
+   * @param {object} change - Certificate change
+   * @returns {string} Formatted string
+   */
+  formatChange(change) {
+    const icons = {
+      info: 'ℹ️',
+      warning: '⚠️',
+      critical: '🔴'
+    };
+
+    return `${icons[change.status] || '❓'} ${change.siteName || change.hostname}: ${change.message}`;
+  }
+}
+
+module.exports = CertificateHistory;
@@ -0,0 +1,315 @@
+/**
+ * 🦎 QA Iguana Agent - Content History
+ * Fingerprints page content between runs and reports changes, flagging
+ * changes made outside a declared deploy window as possible defacement
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const StateStore = require('../lib/state-store');
+
+const STATE_NAME = 'content-history';
+
+// Only what diff() needs is stored, so the state file stays small
+const MAX_STORED_LINES = 500;
+const MAX_LINE_LENGTH = 200;
+
+// Elements that end a line of visible text
+const BLOCK_ELEMENTS = 'address, article, aside, blockquote, br, dd, div, dl, dt, figcaption, footer, form, ' +
+  'h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, td, th, tr, ul';
+
+// Step used to check whether a deploy window was open between two runs
+const WINDOW_STEP_MS = 5 * 60 * 1000;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+class ContentHistory {
+  constructor(options = {}) {
+    this.store = options.store || new StateStore();
+    this.ignorePatterns = options.ignorePatterns || [];
+    this.deployWindows = options.deployWindows || [];
+    this.timezone = options.timezone || 'Asia/Jerusalem';
+    this.maxDiffLines = options.maxDiffLines || 10;
+    this.configErrors = [];
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * Build a global RegExp from a config string; "/pattern/flags" keeps its flags
+   * @param {string} pattern - Pattern string
+   * @returns {RegExp} Regular expression with the g flag
+   */
+  toRegExp(pattern) {
+    const literal = /^\/(.+)\/([dgimsuy]*)$/.exec(pattern);
+    const source = literal ? literal[1] : pattern;
+    const flags = literal ? literal[2] : '';
+    return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+  }
+
+  /**
+   * Compile ignore patterns, collecting the invalid ones instead of throwing
+   * @param {Array<string>} patterns - Pattern strings from the config
+   * @returns {object} { patterns: Array<RegExp>, errors: Array<string> }
+   */
+  compilePatterns(patterns) {
+    const compiled = [];
+    const errors = [];
+
+    patterns.forEach(pattern => {
+      try {
+        compiled.push(this.toRegExp(pattern));
+      } catch (error) {
+        errors.push(`Invalid ignore pattern "${pattern}": ${error.message}`);
+      }
+    });
+
+    return { patterns: compiled, errors };
+  }
+
+  /**
+   * Reduce a page to the lines that matter: visible text plus the scripts and
+   * frames it loads (injected ones are the usual sign of defacement)
+   * @param {string} html - Page HTML
+   * @param {Array<RegExp>} patterns - Compiled volatile regions to remove
+   * @returns {Array<string>} Normalized lines
+   */
+  normalize(html, patterns) {
+    const $ = cheerio.load(html);
+    const lines = [];
+
+    $('title').each((i, el) => lines.push(`[title] ${$(el).text()}`));
+    $('script[src], iframe[src]').each((i, el) => lines.push(`[${el.tagName}] ${$(el).attr('src')}`));
+
+    $('script, style, noscript, template, svg').remove();
+    $(BLOCK_ELEMENTS).each((i, el) => {
+      $(el).prepend('\n');
+      $(el).append('\n');
+    });
+    lines.push(...$('body').text().split('\n'));
+
+    return lines
+      .map(line => patterns.reduce((text, pattern) => text.replace(pattern, ''), line))
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Compute the fingerprint of normalized lines
+   * @param {Array<string>} lines - Normalized lines
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(lines) {
+    return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+  }
+
+  /**
+   * Summarize what changed between two versions of a page
+   * @param {Array<string>} before - Previous lines
+   * @param {Array<string>} after - Current lines
+   * @returns {object} { added, removed, addedLines, removedLines }
+   */
+  diff(before, after) {
+    const remaining = new Map();
+    before.forEach(line => remaining.set(line, (remaining.get(line) || 0) + 1));
+
+    const addedLines = [];
+    after.forEach(line => {
+      const count = remaining.get(line) || 0;
+      if (count > 0) {
+        remaining.set(line, count - 1);
+      } else {
+        addedLines.push(line);
+      }
+    });
+    const removedLines = [];
+    remaining.forEach((count, line) => {
+      for (let i = 0; i < count; i++) removedLines.push(line);
+    });
+
+    return {
+      added: addedLines.length,
+      removed: removedLines.length,
+      addedLines: addedLines.slice(0, this.maxDiffLines).map(line => line.slice(0, MAX_LINE_LENGTH)),
+      removedLines: removedLines.slice(0, this.maxDiffLines).map(line => line.slice(0, MAX_LINE_LENGTH))
+    };
+  }
+
+  /**
+   * Get the weekday and minutes since midnight of a date in the configured timezone
+   * @param {Date} date - Date
+   * @returns {object} { day, minutes }
+   */
+  localTime(date) {
+    const parts = {};
+    this.formatter.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+      day: parts.weekday.toLowerCase(),
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+  }
+
+  /**
+   * Check whether a date falls in a deploy window
+   * @param {Date} date - Date
+   * @param {Array<object>} windows - { from, to } ISO dates, or weekly { days, start, end } in local time
+   * @returns {boolean} True inside a window
+   */
+  isInDeployWindow(date, windows) {
+    const toMinutes = time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+
+    return windows.some(window => {
+      if (window.from || window.to) {
+        const from = window.from ? new Date(window.from).getTime() : -Infinity;
+        const to = window.to ? new Date(window.to).getTime() : Infinity;
+        return date.getTime() >= from && date.getTime() <= to;
+      }
+
+      const local = this.localTime(date);
+      const days = (window.days || DAYS).map(day => day.toLowerCase().slice(0, 3));
+      const start = toMinutes(window.start || '00:00');
+      const end = toMinutes(window.end || '24:00');
+      if (start <= end) {
+        return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+      }
+      // Overnight window (e.g. 22:00-02:00): the part after midnight belongs to the previous day
+      const previousDay = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+      return (days.includes(local.day) && local.minutes >= start) ||
+        (days.includes(previousDay) && local.minutes < end);
+    });
+  }
+
+  /**
+   * Check whether a deploy window was open at any point between two dates
+   * @param {Date} from - Previous run
+   * @param {Date} to - This run
+   * @param {Array<object>} windows - Deploy windows
+   * @returns {boolean} True if the change could have been a deploy
+   */
+  overlapsDeployWindow(from, to, windows) {
+    const isOneOff = window => Boolean(window.from || window.to);
+    const overlapsOneOff = windows.filter(isOneOff).some(window =>
+      (window.from ? new Date(window.from).getTime() : -Infinity) <= to.getTime() &&
+      (window.to ? new Date(window.to).getTime() : Infinity) >= from.getTime());
+    if (overlapsOneOff) return true;
+
+    // Weekly windows repeat, so a week back is as far as we need to look
+    const weekly = windows.filter(window => !isOneOff(window));
+    if (weekly.length === 0) return false;
+    const start = Math.max(from.getTime(), to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    for (let time = start; time < to.getTime(); time += WINDOW_STEP_MS) {
+      if (this.isInDeployWindow(new Date(time), weekly)) return true;
+    }
+    return this.isInDeployWindow(to, weekly);
+  }
+
+  /**
+   * Bound the lines kept for the next run's diff
+   * @param {Array<string>} lines - Normalized lines
+   * @returns {Array<string>} At most MAX_STORED_LINES lines of at most MAX_LINE_LENGTH characters
+   */
+  storedLines(lines) {
+    return lines.slice(0, MAX_STORED_LINES).map(line => line.slice(0, MAX_LINE_LENGTH));
+  }
+
+  /**
+   * Compare uptime page bodies with the stored fingerprints and record them.
+   * Invalid ignore patterns are collected in this.configErrors, and the sites
+   * they affect are not compared (their volatile content would look like a change).
+   * @param {Array<object>} results - UptimeMonitor site results
+   * @param {Array<object>} sites - Site configs (for contentIgnore and deployWindows)
+   * @returns {Array<object>} Changed pages since the last run
+   */
+  track(results, sites = []) {
+    const history = this.store.load(STATE_NAME, { pages: {} });
+    const now = new Date();
+    const changes = [];
+    const checkedKeys = new Set();
+
+    this.configErrors = [];
+    const shared = this.compilePatterns(this.ignorePatterns);
+    shared.errors.forEach(message => this.configErrors.push({ site: 'settings.contentChanges', message }));
+
+    results.forEach(result => {
+      const site = sites.find(s => s.id === result.siteId) || {};
+      const own = this.compilePatterns(site.contentIgnore || []);
+      own.errors.forEach(message => this.configErrors.push({ site: result.siteName, siteId: result.siteId, message }));
+      const patterns = shared.patterns.concat(own.patterns);
+      const skipSite = shared.errors.length > 0 || own.errors.length > 0;
+      const windows = site.deployWindows || this.deployWindows;
+
+      result.pages.forEach(page => {
+        const key = `${result.siteId} ${page.url}`;
+        checkedKeys.add(key);
+
+        // Logged-in pages show per-session content; failed pages have nothing to compare
+        if (skipSite || !page.isUp || page.authCheck || typeof page.body !== 'string') return;
+
+        const lines = this.normalize(page.body, patterns);
+        const fingerprint = this.fingerprint(lines);
+        const previous = history.pages[key];
+
+        if (previous && previous.fingerprint !== fingerprint) {
+          const inWindow = windows.length > 0 &&
+            this.overlapsDeployWindow(new Date(previous.lastSeen), now, windows);
+          const diff = this.diff(previous.lines || [], this.storedLines(lines));
+          changes.push({
+            siteName: result.siteName,
+            siteId: result.siteId,
+            pageName: page.pageName,
+            url: page.url,
+            fingerprint,
+            previousFingerprint: previous.fingerprint,
+            previousSeen: previous.lastSeen,
+            diff,
+            suspicious: !inWindow,
+            status: inWindow ? 'info' : 'critical',
+            message: `Content changed (+${diff.added} / -${diff.removed} lines)` +
+              (inWindow ? ' during a deploy window' : ' outside any deploy window')
+          });
+        }
+
+        history.pages[key] = {
+          fingerprint,
+          lines: this.storedLines(lines),
+          lastChanged: previous && previous.fingerprint === fingerprint ? previous.lastChanged : now.toISOString(),
+          lastSeen: now.toISOString()
+        };
+      });
+    });
+
+    // Pages that are no longer checked
+    Object.keys(history.pages)
+      .filter(key => !checkedKeys.has(key))
+      .forEach(key => delete history.pages[key]);
+
+    history.updatedAt = now.toISOString();
+    this.store.save(STATE_NAME, history);
+
+    return changes;
+  }
+
+  /**
+   * Format a change for display
+   * @param {object} change - Content change
+   * @returns {string} Formatted string
+   */
+  formatChange(change) {
+    const icon = change.suspicious ? '🔴' : 'ℹ️';
+    const lines = [`${icon} ${change.siteName} - ${change.pageName || change.url}: ${change.message}`];
+    change.diff.removedLines.forEach(line => lines.push(`     - ${line}`));
+    change.diff.addedLines.forEach(line => lines.push(`     + ${line}`));
+    return lines.join('\n');
+  }
+}
+
+module.exports = ContentHistory;
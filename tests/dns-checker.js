@@ -0,0 +1,384 @@
+/**
+ * 🦎 QA Iguana Agent - DNS Checker
+ * Resolves DNS records for every site and domain and compares them
+ * with the expected values declared in sites.json
+ */
+
+const { Resolver } = require('dns').promises;
+const net = require('net');
+const Scheduler = require('../lib/scheduler');
+const { getRegistrableDomain } = require('../lib/domains');
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'NS'];
+const NXDOMAIN_CODES = ['ENOTFOUND', 'NXDOMAIN'];
+const NODATA_CODES = ['ENODATA'];
+
+class DNSChecker {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.resolverAddress = options.resolver || null;
+    this.compareAuthoritative = options.compareAuthoritative !== false;
+    this.authoritativePort = options.authoritativePort || 53;
+    this.expectations = options.expectations || {};
+    this.previous = options.previous || {};
+    this.scheduler = options.scheduler || new Scheduler();
+  }
+
+  /**
+   * Result for a check the run deadline prevented from starting
+   * @param {object} target - Domain target that was not checked
+   * @returns {object} DNS check result
+   */
+  skippedResult(target) {
+    return {
+      domain: target.domain,
+      siteId: target.siteId,
+      siteName: target.siteName,
+      project: target.project,
+      records: {},
+      authoritative: [],
+      issues: [{ type: 'skipped', status: 'error', message: 'Run deadline reached before the check started' }],
+      skipped: true,
+      status: 'error',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Create a resolver, optionally pointed at specific servers
+   * @param {Array<string>} servers - Server addresses ("1.1.1.1" or "127.0.0.1:5353")
+   * @returns {Resolver} DNS resolver
+   */
+  createResolver(servers) {
+    const resolver = new Resolver({ timeout: this.timeout, tries: 2 });
+    if (servers && servers.length > 0) {
+      resolver.setServers(servers);
+    }
+    return resolver;
+  }
+
+  /**
+   * Resolve one record type, mapping "no data" to an empty list
+   * @param {Resolver} resolver - DNS resolver
+   * @param {string} hostname - Host name to resolve
+   * @param {string} type - Record type
+   * @returns {Promise<object>} { records, nxdomain, error }
+   */
+  async resolveType(resolver, hostname, type) {
+    try {
+      const records = await resolver.resolve(hostname, type);
+      return { records: this.normalize(records), nxdomain: false, error: null };
+    } catch (error) {
+      if (NXDOMAIN_CODES.includes(error.code)) {
+        return { records: [], nxdomain: true, error: null };
+      }
+      if (NODATA_CODES.includes(error.code)) {
+        return { records: [], nxdomain: false, error: null };
+      }
+      return { records: [], nxdomain: false, error: error.code || error.message };
+    }
+  }
+
+  /**
+   * Normalize record values for comparison
+   * @param {Array<string>} values - Record values
+   * @returns {Array<string>} Lower-cased, sorted values without trailing dots
+   */
+  normalize(values) {
+    return [].concat(values || [])
+      .map(v => String(v).toLowerCase().replace(/\.$/, ''))
+      .sort();
+  }
+
+  /**
+   * Resolve A/AAAA/CNAME (and NS for apex domains) for a host
+   * @param {Resolver} resolver - DNS resolver
+   * @param {string} hostname - Host name
+   * @returns {Promise<object>} { records, nxdomain, errors }
+   */
+  async resolveAll(resolver, hostname) {
+    const records = {};
+    const errors = [];
+    let nxdomain = false;
+
+    for (const type of RECORD_TYPES) {
+      const target = type === 'NS' ? getRegistrableDomain(hostname) : hostname;
+      const answer = await this.resolveType(resolver, target, type);
+      records[type] = answer.records;
+      if (answer.nxdomain && type !== 'NS') nxdomain = true;
+      if (answer.error) errors.push(`${type}: ${answer.error}`);
+    }
+
+    return { records, nxdomain, errors };
+  }
+
+  /**
+   * Ask each authoritative nameserver directly and collect its answers
+   * @param {string} hostname - Host name
+   * @param {Array<string>} nameservers - NS host names
+   * @returns {Promise<Array<object>>} Answers per nameserver
+   */
+  async queryAuthoritative(hostname, nameservers) {
+    const lookup = this.createResolver(this.resolverAddress ? [this.resolverAddress] : null);
+    const answers = [];
+
+    for (const nameserver of nameservers) {
+      const addresses = net.isIP(nameserver)
+        ? [nameserver]
+        : (await this.resolveType(lookup, nameserver, 'A')).records;
+
+      if (addresses.length === 0) {
+        answers.push({ nameserver, error: 'Nameserver address not found', records: null });
+        continue;
+      }
+
+      const server = this.authoritativePort === 53
+        ? addresses[0]
+        : `${addresses[0]}:${this.authoritativePort}`;
+      const resolver = this.createResolver([server]);
+      const records = {};
+      const errors = [];
+
+      for (const type of ['A', 'AAAA', 'CNAME']) {
+        const answer = await this.resolveType(resolver, hostname, type);
+        records[type] = answer.nxdomain ? ['NXDOMAIN'] : answer.records;
+        if (answer.error) errors.push(`${type}: ${answer.error}`);
+      }
+
+      answers.push({ nameserver, records, error: errors.length > 0 ? errors.join(', ') : null });
+    }
+
+    return answers;
+  }
+
+  /**
+   * Check DNS records for a single domain
+   * @param {object} target - Domain target from lib/domains collectDomains()
+   * @returns {Promise<object>} DNS check result
+   */
+  async checkDomain(target) {
+    const hostname = target.domain;
+    const resolver = this.createResolver(this.resolverAddress ? [this.resolverAddress] : null);
+    const result = {
+      domain: hostname,
+      siteId: target.siteId,
+      siteName: target.siteName,
+      project: target.project,
+      records: {},
+      authoritative: [],
+      issues: [],
+      status: 'ok',
+      timestamp: new Date().toISOString()
+    };
+    const addIssue = (type, status, message) => result.issues.push({ type, status, message });
+
+    const resolved = await this.resolveAll(resolver, hostname);
+    result.records = resolved.records;
+
+    if (resolved.nxdomain) {
+      addIssue('nxdomain', 'critical', `${hostname} does not exist (NXDOMAIN)`);
+    } else if (resolved.errors.length > 0 && resolved.records.A.length === 0 && resolved.records.AAAA.length === 0) {
+      addIssue('resolve-error', 'error', `Resolution failed - ${resolved.errors.join(', ')}`);
+    } else if (resolved.records.A.length === 0 && resolved.records.AAAA.length === 0 && resolved.records.CNAME.length === 0) {
+      addIssue('no-address', 'critical', `${hostname} has no A, AAAA or CNAME records`);
+    }
+
+    // Compare with expected values declared in sites.json
+    const expected = this.expectations[hostname] || {};
+    Object.keys(expected).forEach(type => {
+      const wanted = this.normalize(expected[type]);
+      const actual = result.records[type.toUpperCase()] || [];
+      if (wanted.join(',') !== actual.join(',')) {
+        addIssue('unexpected-record', 'critical',
+          `${type.toUpperCase()} is ${actual.join(', ') || 'empty'}, expected ${wanted.join(', ')}`);
+      }
+    });
+
+    // Compare with what we saw on the previous run
+    const previous = this.previous[hostname];
+    if (previous && !resolved.nxdomain && resolved.errors.length === 0) {
+      RECORD_TYPES.forEach(type => {
+        if (expected[type]) return;
+        // Addresses behind a CNAME belong to the provider and rotate freely
+        if ((type === 'A' || type === 'AAAA') && result.records.CNAME.length > 0) return;
+        const before = (previous[type] || []).join(', ');
+        const now = (result.records[type] || []).join(', ');
+        if (before !== now) {
+          addIssue('record-changed', 'warning', `${type} changed: ${before || 'empty'} → ${now || 'empty'}`);
+        }
+      });
+    }
+
+    // Authoritative nameservers should all give the same answer
+    if (this.compareAuthoritative && !resolved.nxdomain && result.records.NS.length > 0) {
+      result.authoritative = await this.queryAuthoritative(hostname, result.records.NS);
+      const answered = result.authoritative.filter(a => a.records);
+      const fingerprints = new Set(answered.map(a => JSON.stringify(a.records)));
+
+      if (fingerprints.size > 1) {
+        const detail = answered
+          .map(a => `${a.nameserver}: ${[...a.records.CNAME, ...a.records.A, ...a.records.AAAA].join(', ') || 'empty'}`)
+          .join(' | ');
+        addIssue('nameserver-mismatch', 'warning', `Authoritative nameservers disagree - ${detail}`);
+      }
+
+      result.authoritative
+        .filter(a => a.error)
+        .forEach(a => addIssue('nameserver-error', 'warning', `${a.nameserver} did not answer: ${a.error}`));
+    }
+
+    const statuses = result.issues.map(i => i.status);
+    if (statuses.includes('critical')) {
+      result.status = 'critical';
+    } else if (statuses.includes('error')) {
+      result.status = 'error';
+    } else if (statuses.includes('warning')) {
+      result.status = 'warning';
+    }
+
+    return result;
+  }
+
+  /**
+   * Check DNS for multiple domains
+   * @param {Array<object>} targets - Domain targets from lib/domains collectDomains()
+   * @returns {Promise<Array<object>>} Array of DNS check results
+   */
+  async checkMultipleDomains(targets) {
+    return this.scheduler.map(targets, target => target.domain, (target) => {
+      console.log(`🌐 Checking DNS: ${target.domain}`);
+      return this.checkDomain(target);
+    }, target => this.skippedResult(target));
+  }
+
+  /**
+   * Build the record snapshot stored for the next run's comparison
+   * @param {Array<object>} results - DNS check results
+   * @returns {object} Records per domain
+   */
+  buildSnapshot(results) {
+    const snapshot = { ...this.previous };
+    results
+      .filter(r => r.status !== 'error' && !r.issues.some(i => i.type === 'nxdomain'))
+      .forEach(r => { snapshot[r.domain] = r.records; });
+    return snapshot;
+  }
+
+  /**
+   * Generate DNS report summary
+   * @param {Array<object>} results - DNS check results
+   * @returns {object} Summary report
+   */
+  generateSummary(results) {
+    const summary = {
+      total: results.length,
+      ok: results.filter(r => r.status === 'ok').length,
+      warnings: results.filter(r => r.status === 'warning').length,
+      critical: results.filter(r => r.status === 'critical').length,
+      errors: results.filter(r => r.status === 'error').length,
+      details: results
+    };
+
+    summary.allHealthy = summary.critical === 0 && summary.errors === 0;
+
+    return summary;
+  }
+
+  /**
+   * Format result for display
+   * @param {object} result - Single DNS check result
+   * @returns {string} Formatted string
+   */
+  formatResult(result) {
+    const icons = {
+      ok: '✅',
+      warning: '⚠️',
+      critical: '🔴',
+      error: '❌'
+    };
+
+    const icon = icons[result.status] || '❓';
+    const records = result.records.CNAME && result.records.CNAME.length > 0
+      ? `CNAME ${result.records.CNAME.join(', ')}`
+      : `A ${(result.records.A || []).join(', ') || '-'}`;
+
+    let message = `${icon} ${result.domain}: ${records}`;
+    if (result.issues.length > 0) {
+      message += ` - ${result.issues.map(i => i.message).join('; ')}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Build the hostname → expected records map from sites and vercelProjects
+   * @param {object} config - Parsed sites.json
+   * @returns {object} Expected records per hostname
+   */
+  static collectExpectations(config) {
+    const expectations = {};
+    [...(config.sites || []), ...(config.vercelProjects || [])].forEach(entry => {
+      Object.entries(entry.expectedDns || {}).forEach(([hostname, records]) => {
+        const key = hostname.toLowerCase();
+        expectations[key] = { ...expectations[key], ...records };
+      });
+    });
+    return expectations;
+  }
+}
+
+// Export for use as module
+module.exports = DNSChecker;
+
+// Run standalone if executed directly
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const { collectDomains } = require('../lib/domains');
+
+  async function main() {
+    console.log('🦎 QA Iguana Agent - DNS Check');
+    console.log('===============================\n');
+
+    // Load sites config
+    const configPath = path.join(__dirname, '..', 'config', 'sites.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const dnsSettings = config.settings.dns || {};
+
+    const checker = new DNSChecker({
+      timeout: config.settings.thresholds.requestTimeout,
+      resolver: process.env.DNS_RESOLVER || dnsSettings.resolver,
+      compareAuthoritative: dnsSettings.compareAuthoritative,
+      authoritativePort: dnsSettings.authoritativePort,
+      expectations: DNSChecker.collectExpectations(config),
+      scheduler: Scheduler.fromConfig(config)
+    });
+
+    // Filter sites that have DNS check enabled
+    const sitesToCheck = config.sites.filter(site => site.checks.dns);
+    const targets = collectDomains(config, { sites: sitesToCheck, includeVariants: false });
+
+    const results = await checker.checkMultipleDomains(targets);
+    const summary = checker.generateSummary(results);
+
+    console.log('\n📊 Results:');
+    console.log('===========\n');
+
+    results.forEach(result => {
+      console.log(checker.formatResult(result));
+    });
+
+    console.log('\n📈 Summary:');
+    console.log('===========');
+    console.log(`Total domains checked: ${summary.total}`);
+    console.log(`OK: ${summary.ok}`);
+    console.log(`Warnings: ${summary.warnings}`);
+    console.log(`Critical: ${summary.critical}`);
+    console.log(`Errors: ${summary.errors}`);
+    console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
+
+    return summary;
+  }
+
+  main().catch(console.error);
+}
@@ -0,0 +1,368 @@
+/**
+ * 🦎 QA Iguana Agent - Domain Expiry Checker
+ * Checks domain registration expiry and status flags via RDAP
+ */
+
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const Scheduler = require('../lib/scheduler');
+
+// RDAP status values (RFC 8056 mapping of EPP statuses) that mean the domain is not resolving
+const CRITICAL_STATUSES = ['client hold', 'server hold', 'pending delete', 'redemption period'];
+
+class DomainExpiryChecker {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.warningDays = options.warningDays || 60;
+    this.criticalDays = options.criticalDays || 14;
+    this.bootstrapUrl = options.bootstrapUrl || 'https://data.iana.org/rdap/dns.json';
+    this.bootstrap = null;
+    this.maxRedirects = options.maxRedirects || 5;
+    this.scheduler = options.scheduler || new Scheduler();
+  }
+
+  /**
+   * Result for a check the run deadline prevented from starting
+   * @param {string} domain - Domain that was not checked
+   * @returns {object} Domain expiry result
+   */
+  skippedResult(domain) {
+    return {
+      domain,
+      skipped: true,
+      error: 'Run deadline reached before the check started',
+      status: 'error',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Fetch an RDAP document, following redirects
+   * @param {string} urlString - URL to fetch
+   * @param {number} redirects - Redirects followed so far
+   * @returns {Promise<object>} { statusCode, data, error }
+   */
+  async fetchRdap(urlString, redirects = 0) {
+    return new Promise((resolve) => {
+      try {
+        const url = new URL(urlString);
+        const protocol = url.protocol === 'https:' ? https : http;
+
+        const options = {
+          hostname: url.hostname,
+          port: url.port || (url.protocol === 'https:' ? 443 : 80),
+          path: url.pathname + url.search,
+          method: 'GET',
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': 'QA-Iguana-Agent/1.0',
+            'Accept': 'application/rdap+json, application/json'
+          }
+        };
+
+        const req = protocol.request(options, (res) => {
+          if (res.statusCode >= 300 && res.statusCode < 400 && res.headers['location']) {
+            res.resume();
+            if (redirects >= this.maxRedirects) {
+              resolve({ statusCode: res.statusCode, error: 'Too many redirects' });
+              return;
+            }
+            let next;
+            try {
+              next = new URL(res.headers['location'], urlString).toString();
+            } catch (error) {
+              resolve({ statusCode: res.statusCode, error: 'Invalid redirect location' });
+              return;
+            }
+            this.fetchRdap(next, redirects + 1).then(resolve);
+            return;
+          }
+
+          let body = '';
+          res.on('data', chunk => body += chunk);
+          res.on('end', () => {
+            if (res.statusCode !== 200) {
+              resolve({ statusCode: res.statusCode, error: `HTTP ${res.statusCode}` });
+              return;
+            }
+            try {
+              resolve({ statusCode: res.statusCode, data: JSON.parse(body) });
+            } catch (error) {
+              resolve({ statusCode: res.statusCode, error: `Invalid RDAP response: ${error.message}` });
+            }
+          });
+        });
+
+        req.on('error', (error) => {
+          resolve({ statusCode: 0, error: error.message });
+        });
+
+        req.on('timeout', () => {
+          req.destroy();
+          resolve({ statusCode: 0, error: 'Connection timeout' });
+        });
+
+        req.end();
+      } catch (error) {
+        resolve({ statusCode: 0, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Load the IANA RDAP bootstrap registry (RFC 9224), once per checker
+   * @returns {Promise<object>} { services, error }
+   */
+  loadBootstrap() {
+    if (!this.bootstrap) {
+      this.bootstrap = this.fetchRdap(this.bootstrapUrl).then(response => response.error
+        ? { services: [], error: response.error }
+        : { services: response.data.services || [], error: null });
+    }
+    return this.bootstrap;
+  }
+
+  /**
+   * Find the RDAP service of a domain's TLD in the bootstrap registry
+   * @param {Array} services - Bootstrap services: [[labels], [base URLs]]
+   * @param {string} domain - Registrable domain
+   * @returns {string|null} Base URL of the registry's RDAP service, null when there is none
+   */
+  findRdapService(services, domain) {
+    const labels = domain.toLowerCase().split('.');
+
+    // Longest matching suffix wins
+    for (let i = 0; i < labels.length; i++) {
+      const suffix = labels.slice(i).join('.');
+      const service = services.find(([entries]) => (entries || []).some(e => e.toLowerCase() === suffix));
+      if (service) {
+        const urls = service[1] || [];
+        const base = urls.find(u => u.startsWith('https:')) || urls[0];
+        if (base) return base.endsWith('/') ? base : `${base}/`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the date of an RDAP event
+   * @param {object} data - RDAP domain object
+   * @param {string} action - eventAction (e.g. 'expiration')
+   * @returns {Date|null} Event date
+   */
+  findEvent(data, action) {
+    const event = (data.events || []).find(e => e.eventAction === action);
+    return event && event.eventDate ? new Date(event.eventDate) : null;
+  }
+
+  /**
+   * Find the registrar name in the RDAP entities
+   * @param {object} data - RDAP domain object
+   * @returns {string} Registrar name
+   */
+  findRegistrar(data) {
+    const registrar = (data.entities || []).find(e => (e.roles || []).includes('registrar'));
+    if (!registrar) return 'Unknown';
+
+    const vcard = registrar.vcardArray && registrar.vcardArray[1];
+    const fn = (vcard || []).find(entry => entry[0] === 'fn');
+    return fn ? fn[3] : (registrar.handle || 'Unknown');
+  }
+
+  /**
+   * Check registration details for a single domain
+   * @param {string} domain - Registrable domain
+   * @returns {Promise<object>} Domain expiry result
+   */
+  async checkDomain(domain) {
+    const failed = (error, status) => ({ domain, error, status, timestamp: new Date().toISOString() });
+
+    const bootstrap = await this.loadBootstrap();
+    if (bootstrap.error) {
+      return failed(`RDAP bootstrap failed: ${bootstrap.error}`, 'error');
+    }
+
+    const serviceUrl = this.findRdapService(bootstrap.services, domain);
+    if (!serviceUrl) {
+      return failed('RDAP not available for this TLD', 'unavailable');
+    }
+
+    const response = await this.fetchRdap(`${serviceUrl}domain/${domain}`);
+
+    if (response.statusCode === 404) {
+      // The registry has RDAP, so a 404 means it does not know the domain
+      return { ...failed('Domain not found in the registry', 'critical'), notFound: true };
+    }
+    if (response.error) {
+      return failed(response.error, 'error');
+    }
+
+    const data = response.data;
+    const expiresAt = this.findEvent(data, 'expiration');
+    const statusFlags = (data.status || []).map(s => s.toLowerCase());
+    const nameservers = (data.nameservers || [])
+      .map(ns => (ns.ldhName || '').toLowerCase())
+      .filter(Boolean);
+    const daysRemaining = expiresAt
+      ? Math.floor((expiresAt - new Date()) / (1000 * 60 * 60 * 24))
+      : null;
+    const problemFlags = statusFlags.filter(s => CRITICAL_STATUSES.includes(s));
+
+    let status = 'ok';
+    if (problemFlags.length > 0) {
+      status = 'critical';
+    } else if (daysRemaining === null) {
+      status = 'warning';
+    } else if (daysRemaining <= this.criticalDays) {
+      status = 'critical';
+    } else if (daysRemaining <= this.warningDays) {
+      status = 'warning';
+    }
+
+    return {
+      domain,
+      registrar: this.findRegistrar(data),
+      registeredAt: this.toIso(this.findEvent(data, 'registration')),
+      expiresAt: this.toIso(expiresAt),
+      daysRemaining,
+      isExpired: daysRemaining !== null && daysRemaining < 0,
+      statusFlags,
+      problemFlags,
+      nameservers,
+      status,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Convert a date to ISO string, keeping null
+   * @param {Date|null} date - Date
+   * @returns {string|null} ISO string
+   */
+  toIso(date) {
+    return date ? date.toISOString() : null;
+  }
+
+  /**
+   * Check multiple domains
+   * @param {Array<string>} domains - Registrable domains
+   * @returns {Promise<Array<object>>} Array of domain expiry results
+   */
+  async checkMultipleDomains(domains) {
+    return this.scheduler.map(domains, domain => domain, (domain) => {
+      console.log(`📇 Checking domain registration: ${domain}`);
+      return this.checkDomain(domain);
+    }, domain => this.skippedResult(domain));
+  }
+
+  /**
+   * Generate domain expiry summary
+   * @param {Array<object>} results - Domain expiry results
+   * @returns {object} Summary report
+   */
+  generateSummary(results) {
+    const summary = {
+      total: results.length,
+      ok: results.filter(r => r.status === 'ok').length,
+      expiringSoon: results.filter(r => r.status === 'warning').length,
+      critical: results.filter(r => r.status === 'critical').length,
+      unavailable: results.filter(r => r.status === 'unavailable').length,
+      errors: results.filter(r => r.status === 'error').length,
+      details: results
+    };
+
+    summary.allHealthy = summary.critical === 0 && summary.errors === 0;
+
+    return summary;
+  }
+
+  /**
+   * Describe why a domain needs attention
+   * @param {object} result - Domain expiry result
+   * @returns {string} Message
+   */
+  describe(result) {
+    if (result.error) return result.error;
+    if (result.problemFlags.length > 0) return `Status: ${result.problemFlags.join(', ')}`;
+    if (result.daysRemaining === null) return 'No expiration date in RDAP response';
+    if (result.isExpired) return 'Domain registration EXPIRED!';
+    return `Registration expires in ${result.daysRemaining} days`;
+  }
+
+  /**
+   * Format result for display
+   * @param {object} result - Domain expiry result
+   * @returns {string} Formatted string
+   */
+  formatResult(result) {
+    const icons = {
+      ok: '✅',
+      warning: '⚠️',
+      critical: '🔴',
+      unavailable: '❔',
+      error: '❌'
+    };
+
+    const icon = icons[result.status] || '❓';
+
+    if (result.error) {
+      return `${icon} ${result.domain}: ${result.error}`;
+    }
+
+    return `${icon} ${result.domain}: ${this.describe(result)} (${result.registrar})`;
+  }
+}
+
+// Export for use as module
+module.exports = DomainExpiryChecker;
+
+// Run standalone if executed directly
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const { collectRegistrableDomains } = require('../lib/domains');
+
+  async function main() {
+    console.log('🦎 QA Iguana Agent - Domain Expiry Check');
+    console.log('=========================================\n');
+
+    // Load sites config
+    const configPath = path.join(__dirname, '..', 'config', 'sites.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    const checker = new DomainExpiryChecker({
+      warningDays: config.settings.thresholds.domainExpiryWarning,
+      criticalDays: config.settings.thresholds.domainExpiryCritical,
+      bootstrapUrl: process.env.RDAP_BOOTSTRAP_URL || (config.settings.rdap || {}).bootstrapUrl,
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config)
+    });
+
+    const domains = collectRegistrableDomains(config);
+
+    const results = await checker.checkMultipleDomains(domains);
+    const summary = checker.generateSummary(results);
+
+    console.log('\n📊 Results:');
+    console.log('===========\n');
+
+    results.forEach(result => {
+      console.log(checker.formatResult(result));
+    });
+
+    console.log('\n📈 Summary:');
+    console.log('===========');
+    console.log(`Total domains checked: ${summary.total}`);
+    console.log(`Expiring soon (< ${checker.warningDays} days): ${summary.expiringSoon}`);
+    console.log(`Critical: ${summary.critical}`);
+    console.log(`RDAP unavailable: ${summary.unavailable}`);
+    console.log(`Errors: ${summary.errors}`);
+    console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
+
+    return summary;
+  }
+
+  main().catch(console.error);
+}
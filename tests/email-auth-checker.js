@@ -0,0 +1,452 @@
+/**
+ * 🦎 QA Iguana Agent - Email Authentication Checker
+ * Audits MX, SPF, DKIM and DMARC records for our sending domains
+ */
+
+const { Resolver } = require('dns').promises;
+const net = require('net');
+const Scheduler = require('../lib/scheduler');
+
+const SPF_MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const SPF_MODIFIERS = ['redirect', 'exp'];
+const SPF_LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+const SPF_MAX_LOOKUPS = 10;
+const DMARC_POLICIES = ['none', 'quarantine', 'reject'];
+
+class EmailAuthChecker {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.resolver = new Resolver({ timeout: this.timeout, tries: 2 });
+    if (options.resolver) {
+      this.resolver.setServers([options.resolver]);
+    }
+    this.scheduler = options.scheduler || new Scheduler();
+  }
+
+  /**
+   * Result for an audit the run deadline prevented from starting
+   * @param {object} entry - Email domain entry that was not audited
+   * @returns {object} Email authentication result
+   */
+  skippedResult(entry) {
+    return {
+      domain: entry.domain,
+      critical: entry.critical !== false,
+      mx: [],
+      spf: null,
+      dmarc: null,
+      dkim: [],
+      issues: [{ type: 'skipped', status: 'error', message: 'Run deadline reached before the check started' }],
+      skipped: true,
+      status: 'error',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Resolve TXT records, joining the chunks of each record
+   * @param {string} hostname - Host name
+   * @returns {Promise<object>} { records, error }
+   */
+  async resolveTxt(hostname) {
+    try {
+      const records = await this.resolver.resolveTxt(hostname);
+      return { records: records.map(chunks => chunks.join('')), error: null };
+    } catch (error) {
+      if (error.code === 'ENODATA' || error.code === 'ENOTFOUND') {
+        return { records: [], error: null };
+      }
+      return { records: [], error: error.code || error.message };
+    }
+  }
+
+  /**
+   * Resolve MX records sorted by priority
+   * @param {string} domain - Domain
+   * @returns {Promise<object>} { records, error }
+   */
+  async resolveMx(domain) {
+    try {
+      const records = await this.resolver.resolveMx(domain);
+      return { records: records.sort((a, b) => a.priority - b.priority), error: null };
+    } catch (error) {
+      if (error.code === 'ENODATA' || error.code === 'ENOTFOUND') {
+        return { records: [], error: null };
+      }
+      return { records: [], error: error.code || error.message };
+    }
+  }
+
+  /**
+   * Parse an SPF record into terms and syntax errors
+   * @param {string} record - SPF TXT record
+   * @returns {object} { terms, errors }
+   */
+  parseSpf(record) {
+    const terms = [];
+    const errors = [];
+    const parts = record.trim().split(/\s+/).slice(1);
+
+    parts.forEach(part => {
+      const modifier = part.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+      if (modifier) {
+        const name = modifier[1].toLowerCase();
+        if (!SPF_MODIFIERS.includes(name)) {
+          errors.push(`Unknown modifier "${part}"`);
+        } else if (!modifier[2]) {
+          errors.push(`Modifier "${name}" has no value`);
+        }
+        terms.push({ type: 'modifier', name, value: modifier[2] });
+        return;
+      }
+
+      const mechanism = part.match(/^([+\-~?]?)([a-z0-9]+)(?::(.*?))?(\/\d+(?:\/\/\d+)?)?$/i);
+      if (!mechanism || !SPF_MECHANISMS.includes(mechanism[2].toLowerCase())) {
+        errors.push(`Unknown mechanism "${part}"`);
+        return;
+      }
+
+      const name = mechanism[2].toLowerCase();
+      const value = mechanism[3] || null;
+      const qualifier = mechanism[1] || '+';
+
+      if (['include', 'exists'].includes(name) && !value) {
+        errors.push(`"${name}" requires a domain`);
+      }
+      if (name === 'ip4' && (!value || net.isIP(value) !== 4)) {
+        errors.push(`Invalid ip4 address "${part}"`);
+      }
+      if (name === 'ip6' && (!value || net.isIP(value) !== 6)) {
+        errors.push(`Invalid ip6 address "${part}"`);
+      }
+      if (name === 'all' && value) {
+        errors.push(`"all" does not take a value`);
+      }
+
+      terms.push({ type: 'mechanism', name, value, qualifier });
+    });
+
+    return { terms, errors };
+  }
+
+  /**
+   * Count DNS lookups an SPF record causes, following include and redirect
+   * @param {string} domain - Domain the record belongs to
+   * @param {Array<object>} terms - Parsed SPF terms
+   * @param {Set<string>} path - Domains on the include chain leading here (loop guard);
+   *   sibling includes of the same domain are each counted, as receivers evaluate them
+   * @returns {Promise<object>} { lookups, errors }
+   */
+  async countSpfLookups(domain, terms, path = new Set([domain.toLowerCase()])) {
+    let lookups = 0;
+    const errors = [];
+
+    for (const term of terms) {
+      const isLookup = term.type === 'mechanism'
+        ? SPF_LOOKUP_MECHANISMS.includes(term.name)
+        : term.name === 'redirect';
+      if (!isLookup) continue;
+
+      lookups++;
+
+      const target = term.type === 'modifier' || term.name === 'include' ? term.value : null;
+      if (!target) continue;
+
+      if (path.has(target.toLowerCase())) {
+        errors.push(`SPF include loop at ${target}`);
+        continue;
+      }
+
+      const txt = await this.resolveTxt(target);
+      const spf = txt.records.filter(r => /^v=spf1(\s|$)/i.test(r));
+      if (spf.length !== 1) {
+        errors.push(`${target} has ${spf.length === 0 ? 'no' : 'multiple'} SPF record(s)`);
+        continue;
+      }
+
+      const nested = await this.countSpfLookups(target, this.parseSpf(spf[0]).terms, new Set([...path, target.toLowerCase()]));
+      lookups += nested.lookups;
+      errors.push(...nested.errors);
+
+      if (lookups > SPF_MAX_LOOKUPS) break;
+    }
+
+    return { lookups, errors };
+  }
+
+  /**
+   * Parse a DMARC record into tags and syntax errors
+   * @param {string} record - DMARC TXT record
+   * @returns {object} { tags, errors }
+   */
+  parseDmarc(record) {
+    const tags = {};
+    const errors = [];
+
+    record.split(';').map(t => t.trim()).filter(Boolean).forEach((tag, index) => {
+      const match = tag.match(/^([a-z]+)\s*=\s*(.*)$/i);
+      if (!match) {
+        errors.push(`Malformed tag "${tag}"`);
+        return;
+      }
+      const name = match[1].toLowerCase();
+      if (index === 0 && (name !== 'v' || match[2] !== 'DMARC1')) {
+        errors.push('Record must start with v=DMARC1');
+      }
+      tags[name] = match[2].trim();
+    });
+
+    if (!tags.p) {
+      errors.push('Missing required p= tag');
+    } else if (!DMARC_POLICIES.includes(tags.p.toLowerCase())) {
+      errors.push(`Invalid policy p=${tags.p}`);
+    }
+    if (tags.sp && !DMARC_POLICIES.includes(tags.sp.toLowerCase())) {
+      errors.push(`Invalid subdomain policy sp=${tags.sp}`);
+    }
+    if (tags.pct && !/^\d+$/.test(tags.pct)) {
+      errors.push(`Invalid pct=${tags.pct}`);
+    }
+
+    return { tags, errors };
+  }
+
+  /**
+   * Audit email authentication for a single domain
+   * @param {object} entry - { domain, critical, dkimSelectors }
+   * @returns {Promise<object>} Email authentication result
+   */
+  async checkDomain(entry) {
+    const domain = entry.domain;
+    const critical = entry.critical !== false;
+    const result = {
+      domain,
+      critical,
+      mx: [],
+      spf: null,
+      dmarc: null,
+      dkim: [],
+      issues: [],
+      status: 'ok',
+      timestamp: new Date().toISOString()
+    };
+    const addIssue = (type, status, message) => result.issues.push({ type, status, message });
+    const missingStatus = critical ? 'critical' : 'warning';
+
+    // MX
+    const mx = await this.resolveMx(domain);
+    result.mx = mx.records.map(r => `${r.priority} ${r.exchange}`);
+    if (mx.error) {
+      addIssue('mx-error', 'warning', `MX lookup failed: ${mx.error}`);
+    } else if (mx.records.length === 0) {
+      addIssue('mx-missing', 'warning', 'No MX records - bounces and replies cannot be delivered');
+    }
+
+    // SPF
+    const txt = await this.resolveTxt(domain);
+    const spfRecords = txt.records.filter(r => /^v=spf1(\s|$)/i.test(r));
+    if (txt.error) {
+      addIssue('spf-error', 'error', `TXT lookup failed: ${txt.error}`);
+    } else if (spfRecords.length === 0) {
+      addIssue('spf-missing', missingStatus, 'No SPF record');
+    } else if (spfRecords.length > 1) {
+      addIssue('spf-multiple', 'critical', `${spfRecords.length} SPF records found - receivers treat this as permerror`);
+    }
+
+    if (spfRecords.length > 0) {
+      const parsed = this.parseSpf(spfRecords[0]);
+      const counted = await this.countSpfLookups(domain, parsed.terms);
+      const all = parsed.terms.find(t => t.type === 'mechanism' && t.name === 'all');
+      const redirect = parsed.terms.find(t => t.type === 'modifier' && t.name === 'redirect');
+
+      result.spf = {
+        record: spfRecords[0],
+        all: all ? `${all.qualifier}all` : null,
+        lookups: counted.lookups
+      };
+
+      parsed.errors.forEach(e => addIssue('spf-syntax', 'critical', `SPF syntax error: ${e}`));
+      counted.errors.forEach(e => addIssue('spf-include', 'warning', e));
+
+      if (all && all.qualifier === '+') {
+        addIssue('spf-plus-all', 'critical', 'SPF ends with +all - any server may send as this domain');
+      } else if (all && all.qualifier === '?') {
+        addIssue('spf-neutral-all', 'warning', 'SPF ends with ?all - provides no protection');
+      } else if (!all && !redirect) {
+        addIssue('spf-no-all', 'warning', 'SPF has no "all" mechanism or redirect');
+      }
+
+      if (counted.lookups > SPF_MAX_LOOKUPS) {
+        addIssue('spf-too-many-lookups', 'critical',
+          `SPF needs ${counted.lookups} DNS lookups (max ${SPF_MAX_LOOKUPS}) - receivers treat this as permerror`);
+      }
+    }
+
+    // DMARC
+    const dmarcTxt = await this.resolveTxt(`_dmarc.${domain}`);
+    const dmarcRecords = dmarcTxt.records.filter(r => /^v=DMARC1/i.test(r));
+    if (dmarcTxt.error) {
+      addIssue('dmarc-error', 'error', `DMARC lookup failed: ${dmarcTxt.error}`);
+    } else if (dmarcRecords.length === 0) {
+      addIssue('dmarc-missing', missingStatus, 'No DMARC record at _dmarc.' + domain);
+    } else if (dmarcRecords.length > 1) {
+      addIssue('dmarc-multiple', 'critical', 'Multiple DMARC records - receivers ignore DMARC');
+    }
+
+    if (dmarcRecords.length > 0) {
+      const parsed = this.parseDmarc(dmarcRecords[0]);
+      result.dmarc = {
+        record: dmarcRecords[0],
+        policy: parsed.tags.p || null,
+        subdomainPolicy: parsed.tags.sp || null,
+        pct: parsed.tags.pct ? Number(parsed.tags.pct) : 100,
+        rua: parsed.tags.rua || null
+      };
+
+      parsed.errors.forEach(e => addIssue('dmarc-syntax', 'critical', `DMARC syntax error: ${e}`));
+
+      if (critical && result.dmarc.policy && result.dmarc.policy.toLowerCase() === 'none') {
+        addIssue('dmarc-policy-none', 'warning', 'DMARC policy is p=none on a critical domain - spoofed mail is not blocked');
+      }
+    }
+
+    // DKIM
+    for (const selector of entry.dkimSelectors || []) {
+      const name = `${selector}._domainkey.${domain}`;
+      const dkimTxt = await this.resolveTxt(name);
+      const record = dkimTxt.records.find(r => /(^|;)\s*(v=DKIM1|p=)/i.test(r));
+      const dkim = { selector, found: Boolean(record), record: record || null };
+
+      if (dkimTxt.error) {
+        addIssue('dkim-error', 'warning', `DKIM lookup failed for ${selector}: ${dkimTxt.error}`);
+      } else if (!record) {
+        addIssue('dkim-missing', 'warning', `No DKIM key for selector "${selector}"`);
+      } else {
+        const key = record.match(/(?:^|;)\s*p=([^;]*)/i);
+        dkim.keyType = (record.match(/(?:^|;)\s*k=([^;]*)/i) || [])[1] || 'rsa';
+        if (!key) {
+          addIssue('dkim-syntax', 'warning', `DKIM selector "${selector}" has no p= tag`);
+        } else if (!key[1].trim()) {
+          addIssue('dkim-revoked', 'warning', `DKIM key for selector "${selector}" is revoked (empty p=)`);
+        }
+      }
+
+      result.dkim.push(dkim);
+    }
+
+    const statuses = result.issues.map(i => i.status);
+    if (statuses.includes('critical')) {
+      result.status = 'critical';
+    } else if (statuses.includes('error')) {
+      result.status = 'error';
+    } else if (statuses.includes('warning')) {
+      result.status = 'warning';
+    }
+
+    return result;
+  }
+
+  /**
+   * Audit email authentication for multiple domains
+   * @param {Array<object>} entries - Email domain entries from sites.json
+   * @returns {Promise<Array<object>>} Array of results
+   */
+  async checkMultipleDomains(entries) {
+    return this.scheduler.map(entries, entry => entry.domain, (entry) => {
+      console.log(`✉️ Checking email authentication: ${entry.domain}`);
+      return this.checkDomain(entry);
+    }, entry => this.skippedResult(entry));
+  }
+
+  /**
+   * Generate email authentication summary
+   * @param {Array<object>} results - Email authentication results
+   * @returns {object} Summary report
+   */
+  generateSummary(results) {
+    const summary = {
+      total: results.length,
+      ok: results.filter(r => r.status === 'ok').length,
+      warnings: results.filter(r => r.status === 'warning').length,
+      critical: results.filter(r => r.status === 'critical').length,
+      errors: results.filter(r => r.status === 'error').length,
+      details: results
+    };
+
+    summary.allHealthy = summary.critical === 0 && summary.errors === 0;
+
+    return summary;
+  }
+
+  /**
+   * Format result for display
+   * @param {object} result - Email authentication result
+   * @returns {string} Formatted string
+   */
+  formatResult(result) {
+    const icons = {
+      ok: '✅',
+      warning: '⚠️',
+      critical: '🔴',
+      error: '❌'
+    };
+
+    const icon = icons[result.status] || '❓';
+    const spf = result.spf ? `SPF ${result.spf.all || '-'} (${result.spf.lookups} lookups)` : 'SPF -';
+    const dmarc = result.dmarc ? `DMARC p=${result.dmarc.policy}` : 'DMARC -';
+
+    let message = `${icon} ${result.domain}: MX ${result.mx.length} | ${spf} | ${dmarc}`;
+    if (result.issues.length > 0) {
+      message += ` - ${result.issues.map(i => i.message).join('; ')}`;
+    }
+
+    return message;
+  }
+}
+
+// Export for use as module
+module.exports = EmailAuthChecker;
+
+// Run standalone if executed directly
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+
+  async function main() {
+    console.log('🦎 QA Iguana Agent - Email Authentication Check');
+    console.log('================================================\n');
+
+    // Load sites config
+    const configPath = path.join(__dirname, '..', 'config', 'sites.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    const checker = new EmailAuthChecker({
+      resolver: process.env.DNS_RESOLVER || (config.settings.dns || {}).resolver,
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config)
+    });
+
+    const results = await checker.checkMultipleDomains(config.emailDomains || []);
+    const summary = checker.generateSummary(results);
+
+    console.log('\n📊 Results:');
+    console.log('===========\n');
+
+    results.forEach(result => {
+      console.log(checker.formatResult(result));
+    });
+
+    console.log('\n📈 Summary:');
+    console.log('===========');
+    console.log(`Total domains checked: ${summary.total}`);
+    console.log(`OK: ${summary.ok}`);
+    console.log(`Warnings: ${summary.warnings}`);
+    console.log(`Critical: ${summary.critical}`);
+    console.log(`Errors: ${summary.errors}`);
+    console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
+
+    return summary;
+  }
+
+  main().catch(console.error);
+}
@@ -6,12 +6,163 @@
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const Scheduler = require('../lib/scheduler');
+const StateStore = require('../lib/state-store');
+const { getRegistrableDomain } = require('../lib/domains');
+const cheerio = require('cheerio');
+const { ACCEPT_ENCODING, decodeBody, getCompression } = require('../lib/http-body');
+
+// Elements and attributes that point at another URL
+const LINK_ATTRIBUTES = {
+  a: ['href'],
+  area: ['href'],
+  link: ['href'],
+  iframe: ['src'],
+  script: ['src'],
+  img: ['src', 'srcset'],
+  source: ['src', 'srcset'],
+  video: ['src', 'poster'],
+  audio: ['src'],
+  track: ['src'],
+  embed: ['src'],
+  object: ['data'],
+  form: ['action']
+};
+
+// Elements a visitor navigates through (everything else is a page resource)
+const NAVIGATION_ELEMENTS = ['a', 'area', 'iframe'];
+
+const SKIPPED_SCHEMES = ['javascript:', 'mailto:', 'tel:', 'data:', 'blob:'];
+
+const ORIGIN_ONLY_RELS = ['preconnect', 'dns-prefetch'];
+
+// Mixed content browsers block (active) vs. still load with a warning (passive)
+const ACTIVE_ELEMENTS = ['script', 'iframe', 'embed', 'object', 'track', 'form'];
+const PASSIVE_ELEMENTS = ['img', 'video', 'audio', 'source'];
+const ACTIVE_LINK_RELS = ['stylesheet', 'preload', 'modulepreload', 'prefetch', 'manifest'];
+const PASSIVE_LINK_RELS = ['icon', 'apple-touch-icon'];
+
+// HEAD answers that are retried with GET (999 is LinkedIn's bot answer)
+const HEAD_REFUSED_STATUSES = [400, 403, 405, 429, 501, 999];
+
+// Answers that mean a bot was turned away, not that the page is gone
+const BOT_BLOCK_STATUSES = [401, 403, 429, 999];
+const BOT_PROTECTION_SERVERS = /cloudflare|akamai|incapsula|ddos-guard|sucuri/i;
+
+const CACHE_STATE = 'link-cache';
+
+// Results that stay valid for the domain's TTL; failures are rechecked every run
+const CACHEABLE_CATEGORIES = ['ok', 'cross-domain-redirect', 'blocked'];
+
+// Cache entries not seen for this long are dropped
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Sitemap files read per site (a sitemap index counts as one)
+const MAX_SITEMAPS = 10;
 
 class LinkValidator {
   constructor(options = {}) {
     this.timeout = options.timeout || 10000;
-    this.maxDepth = options.maxDepth || 1;
-    this.checkedUrls = new Set();
+    this.maxRedirects = options.maxRedirects || 5;
+    this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 1;
+    this.maxPages = options.maxPages || 50;
+    this.sitemap = options.sitemap !== false;
+    this.checkAnchors = options.checkAnchors !== false;
+    // id/name targets of each document seen this run, by normalized URL
+    this.documentAnchors = new Map();
+    this.scheduler = options.scheduler || new Scheduler();
+    this.store = options.store || new StateStore();
+    this.checkExternal = options.checkExternal || false;
+    this.cacheTtlHours = options.ttlHours || 24;
+    this.domainTtlHours = options.domainTtlHours || {};
+    this.failuresBeforeBroken = options.failuresBeforeBroken || 3;
+    // One check per URL per run, shared by all sites
+    this.linkChecks = new Map();
+    this.linkCache = null;
+    // Registrable domains whose plain http:// links are reported
+    this.ownDomains = options.ownDomains || [];
+    this.excludePatterns = options.excludePatterns || [];
+    this.onlyCriticalLinks = options.onlyCriticalLinks || false;
+  }
+
+  /**
+   * Match a value against a config pattern: "/regex/flags", a glob with "*"
+   * ("**" crosses "/"), or otherwise a plain substring
+   * @param {string} value - URL or text to test
+   * @param {string} pattern - Pattern
+   * @returns {boolean} True on match
+   */
+  matchesPattern(value, pattern) {
+    if (!value || !pattern) return false;
+
+    const literal = /^\/(.+)\/([dgimsuy]*)$/.exec(pattern);
+    if (literal) {
+      try {
+        return new RegExp(literal[1], literal[2].replace('g', '')).test(value);
+      } catch (e) {
+        // Not a valid regex (e.g. "/path/"), treat it as a substring
+      }
+    }
+
+    if (pattern.includes('*')) {
+      const source = pattern
+        .split(/(\*\*?)/)
+        .map(part => part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+      const glob = new RegExp(`^${source}$`);
+      // A glob may describe the whole URL, the URL without its scheme, or just its path ("/blog/**")
+      const candidates = [value];
+      try {
+        const url = new URL(value);
+        candidates.push(url.host + url.pathname + url.search, url.pathname + url.search);
+      } catch (e) {
+        // Not a URL, match the value as is
+      }
+      return candidates.some(candidate => glob.test(candidate));
+    }
+
+    return value.includes(pattern);
+  }
+
+  /**
+   * Check whether a link matches settings.linkCheck.excludePatterns
+   * @param {object} link - Extracted link
+   * @returns {boolean} True if the link should not be checked
+   */
+  isExcluded(link) {
+    return this.excludePatterns.some(pattern =>
+      this.matchesPattern(link.href, pattern) || this.matchesPattern(link.absoluteUrl, pattern));
+  }
+
+  /**
+   * Normalize a site's criticalLinks (strings are shorthand for { href })
+   * @param {object} site - Site configuration
+   * @returns {Array<object>} { name, href, text, pageUrl } - pageUrl is null for "any scanned page"
+   */
+  getCriticalLinks(site) {
+    return (site.criticalLinks || []).map(entry => {
+      const spec = typeof entry === 'string' ? { href: entry } : entry;
+      return {
+        name: spec.name || spec.href || spec.text,
+        href: spec.href || null,
+        text: spec.text || null,
+        pageUrl: spec.page ? new URL(spec.page, site.url).toString() : null
+      };
+    });
+  }
+
+  /**
+   * Find the critical link declaration a link satisfies
+   * @param {object} link - Extracted link
+   * @param {Array<object>} criticalLinks - Declarations from getCriticalLinks
+   * @param {string} pageUrl - Page the link was found on
+   * @returns {object|undefined} Matching declaration
+   */
+  findCriticalLink(link, criticalLinks, pageUrl) {
+    return criticalLinks.find(critical =>
+      (!critical.pageUrl || critical.pageUrl === pageUrl) &&
+      (!critical.href || this.matchesPattern(link.href, critical.href) || this.matchesPattern(link.absoluteUrl, critical.href)) &&
+      (!critical.text || this.matchesPattern(link.text, critical.text)));
   }
 
   /**
@@ -33,20 +184,25 @@ class LinkValidator {
           timeout: this.timeout,
           headers: {
             'User-Agent': 'QA-Iguana-Agent/1.0',
-            'Accept': 'text/html,application/xhtml+xml'
+            'Accept': 'text/html,application/xhtml+xml',
+            'Accept-Encoding': ACCEPT_ENCODING
           }
         };
 
         const req = protocol.request(options, (res) => {
-          let body = '';
-          res.on('data', chunk => body += chunk);
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
           res.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            const body = decodeBody(raw, res.headers['content-encoding']).toString('utf8');
             resolve({
               url: urlString,
               statusCode: res.statusCode,
               isOk: res.statusCode >= 200 && res.statusCode < 400,
               body,
-              contentType: res.headers['content-type']
+              contentType: res.headers['content-type'],
+              transferSize: raw.length,
+              compression: getCompression(res.headers['content-encoding'])
             });
           });
         });
@@ -83,11 +239,12 @@ class LinkValidator {
   }
 
   /**
-   * Check if a URL is accessible (HEAD request)
-   * @param {string} urlString - URL to check
-   * @returns {Promise<object>} Link check result
+   * Send one request for a link and read only the status line and headers
+   * @param {string} urlString - URL to request
+   * @param {string} method - HEAD or GET
+   * @returns {Promise<object>} { statusCode, location, botChallenge, error, timedOut }
    */
-  async checkLink(urlString) {
+  requestStatus(urlString, method) {
     return new Promise((resolve) => {
       try {
         const url = new URL(urlString);
@@ -97,55 +254,226 @@ class LinkValidator {
           hostname: url.hostname,
           port: url.port || (url.protocol === 'https:' ? 443 : 80),
           path: url.pathname + url.search,
-          method: 'HEAD',
+          method,
           timeout: this.timeout,
           headers: {
-            'User-Agent': 'QA-Iguana-Agent/1.0'
+            'User-Agent': 'QA-Iguana-Agent/1.0',
+            'Accept': '*/*'
           }
         };
 
         const req = protocol.request(options, (res) => {
-          const isOk = res.statusCode >= 200 && res.statusCode < 400;
+          const server = res.headers['server'] || '';
           resolve({
-            url: urlString,
             statusCode: res.statusCode,
-            isOk,
-            isRedirect: res.statusCode >= 300 && res.statusCode < 400,
-            redirectTo: res.headers['location']
+            location: res.headers['location'],
+            botChallenge: res.headers['cf-mitigated'] === 'challenge' ||
+              ([403, 503].includes(res.statusCode) && BOT_PROTECTION_SERVERS.test(server))
           });
+          // The body is never needed
+          res.destroy();
         });
 
         req.on('error', (error) => {
-          resolve({
-            url: urlString,
-            statusCode: 0,
-            isOk: false,
-            error: error.message
-          });
+          resolve({ statusCode: 0, error: error.message });
         });
 
         req.on('timeout', () => {
           req.destroy();
-          resolve({
-            url: urlString,
-            statusCode: 0,
-            isOk: false,
-            error: 'Timeout'
-          });
+          resolve({ statusCode: 0, error: 'Timeout', timedOut: true });
         });
 
         req.end();
       } catch (error) {
-        resolve({
-          url: urlString,
-          statusCode: 0,
-          isOk: false,
-          error: error.message
-        });
+        resolve({ statusCode: 0, error: error.message });
       }
     });
   }
 
+  /**
+   * Check if a URL is accessible: HEAD first, GET when HEAD is refused,
+   * following redirects to the final target
+   * @param {string} urlString - URL to check
+   * @returns {Promise<object>} Link check result with a category
+   */
+  async checkLink(urlString) {
+    const visited = [urlString];
+    let current = urlString;
+    let response;
+    let method;
+
+    for (let hop = 0; ; hop++) {
+      method = 'HEAD';
+      response = await this.requestStatus(current, method);
+      // Many CDNs and storefronts refuse HEAD but serve GET
+      if (HEAD_REFUSED_STATUSES.includes(response.statusCode) || (response.error && !response.timedOut)) {
+        method = 'GET';
+        response = await this.requestStatus(current, method);
+      }
+
+      const isRedirect = response.statusCode >= 300 && response.statusCode < 400 && response.location;
+      if (!isRedirect) break;
+
+      let next;
+      try {
+        next = new URL(response.location, current).toString();
+      } catch (error) {
+        response = { statusCode: response.statusCode, error: 'Invalid redirect location' };
+        break;
+      }
+      if (visited.includes(next)) {
+        response = { statusCode: response.statusCode, error: 'Redirect loop' };
+        break;
+      }
+      if (hop >= this.maxRedirects) {
+        response = { statusCode: response.statusCode, error: `More than ${this.maxRedirects} redirects` };
+        break;
+      }
+      visited.push(next);
+      current = next;
+    }
+
+    const result = {
+      url: urlString,
+      statusCode: response.statusCode,
+      method,
+      isRedirect: visited.length > 1,
+      redirectTo: visited.length > 1 ? current : undefined,
+      error: response.error
+    };
+    result.category = this.classifyLink(result, response);
+    result.isOk = result.category === 'ok' || result.category === 'cross-domain-redirect';
+    return result;
+  }
+
+  /**
+   * Sort a link check into ok / broken / blocked / timeout / cross-domain-redirect
+   * @param {object} result - checkLink result
+   * @param {object} response - Last response of the redirect chain
+   * @returns {string} Category
+   */
+  classifyLink(result, response) {
+    if (response.timedOut) return 'timeout';
+    if (response.error) return 'broken';
+    if (response.botChallenge || BOT_BLOCK_STATUSES.includes(result.statusCode)) return 'blocked';
+    if (result.statusCode < 200 || result.statusCode >= 400) return 'broken';
+
+    const host = url => new URL(url).hostname.replace(/^www\./, '');
+    if (result.redirectTo && host(result.redirectTo) !== host(result.url)) return 'cross-domain-redirect';
+    return 'ok';
+  }
+
+  /**
+   * Get the external link cache persisted between runs
+   * @returns {object} { links: { [url]: { category, statusCode, error, redirectTo, checkedAt, failures } } }
+   */
+  getLinkCache() {
+    if (!this.linkCache) {
+      this.linkCache = this.store.load(CACHE_STATE, { links: {} });
+    }
+    return this.linkCache;
+  }
+
+  /**
+   * Save the external link cache, dropping entries not checked for a month
+   */
+  saveLinkCache() {
+    if (!this.linkCache) return;
+
+    const cutoff = Date.now() - CACHE_MAX_AGE_MS;
+    Object.keys(this.linkCache.links).forEach(url => {
+      if (new Date(this.linkCache.links[url].checkedAt).getTime() < cutoff) delete this.linkCache.links[url];
+    });
+    this.linkCache.updatedAt = new Date().toISOString();
+    this.store.save(CACHE_STATE, this.linkCache);
+  }
+
+  /**
+   * Get how long a result for a URL stays cached; the most specific domain wins
+   * @param {string} urlString - URL
+   * @returns {number} TTL in milliseconds
+   */
+  getCacheTtl(urlString) {
+    const host = new URL(urlString).hostname.toLowerCase();
+    const domain = Object.keys(this.domainTtlHours)
+      .filter(d => host === d.toLowerCase() || host.endsWith(`.${d.toLowerCase()}`))
+      .sort((a, b) => b.length - a.length)[0];
+    const hours = domain ? this.domainTtlHours[domain] : this.cacheTtlHours;
+    return hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get a still-fresh cached result for an external link
+   * @param {string} urlString - URL
+   * @returns {object|null} Link check result, or null if it has to be checked
+   */
+  getCachedLink(urlString) {
+    const entry = this.getLinkCache().links[urlString];
+    if (!entry || !CACHEABLE_CATEGORIES.includes(entry.category)) return null;
+    if (Date.now() - new Date(entry.checkedAt).getTime() > this.getCacheTtl(urlString)) return null;
+
+    return {
+      url: urlString,
+      statusCode: entry.statusCode,
+      isOk: entry.category !== 'blocked',
+      isRedirect: Boolean(entry.redirectTo),
+      redirectTo: entry.redirectTo,
+      error: entry.error,
+      category: entry.category,
+      failures: 0,
+      fromCache: true
+    };
+  }
+
+  /**
+   * Store an external link result; a broken link stays "failing" until it has
+   * failed failuresBeforeBroken checks in a row
+   * @param {object} result - checkLink result
+   * @returns {object} Result with the consecutive failure count
+   */
+  recordExternalLink(result) {
+    if (result.skipped) return result;
+
+    const links = this.getLinkCache().links;
+    const previous = links[result.url];
+    const previousFailures = previous ? previous.failures : 0;
+    // A timeout says nothing either way, so it keeps the streak as it was
+    const failures = result.category === 'broken'
+      ? previousFailures + 1
+      : (result.category === 'timeout' ? previousFailures : 0);
+
+    links[result.url] = {
+      category: result.category,
+      statusCode: result.statusCode,
+      error: result.error,
+      redirectTo: result.redirectTo,
+      checkedAt: new Date().toISOString(),
+      failures
+    };
+
+    if (result.category === 'broken' && failures < this.failuresBeforeBroken) {
+      return { ...result, category: 'failing', failures };
+    }
+    return { ...result, failures };
+  }
+
+  /**
+   * Check a link once per run; external links go through the persisted cache
+   * @param {object} link - Extracted link
+   * @returns {Promise<object>} Link check result
+   */
+  checkLinkOnce(link) {
+    const url = link.absoluteUrl.split('#')[0];
+    if (!this.linkChecks.has(url)) {
+      const cached = link.isExternal ? this.getCachedLink(url) : null;
+      this.linkChecks.set(url, cached ? Promise.resolve(cached) : this.scheduler.schedule(Scheduler.hostOf(url),
+        () => this.checkLink(url),
+        () => ({ url, statusCode: 0, isOk: false, skipped: true })
+      ).then(result => link.isExternal ? this.recordExternalLink(result) : result));
+    }
+    return this.linkChecks.get(url);
+  }
+
   /**
    * Extract links from HTML content
    * @param {string} html - HTML content
@@ -154,84 +482,177 @@ class LinkValidator {
    */
   extractLinks(html, baseUrl) {
     const links = [];
-    const base = new URL(baseUrl);
-    
-    // Match href attributes
-    const hrefRegex = /href\s*=\s*["']([^"']+)["']/gi;
-    let match;
-    
-    while ((match = hrefRegex.exec(html)) !== null) {
-      const href = match[1];
-      
-      // Skip anchors, javascript, mailto, tel
-      if (href.startsWith('#') || 
-          href.startsWith('javascript:') || 
-          href.startsWith('mailto:') || 
-          href.startsWith('tel:')) {
-        continue;
-      }
-      
-      try {
-        const absoluteUrl = new URL(href, baseUrl).toString();
-        links.push({
-          href,
-          absoluteUrl,
-          isExternal: new URL(absoluteUrl).hostname !== base.hostname
-        });
-      } catch (e) {
-        // Invalid URL, skip
-      }
+    const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+
+    // <base href> changes what relative links resolve against
+    let base = baseUrl;
+    try {
+      const baseHref = $('base[href]').first().attr('href');
+      if (baseHref) base = new URL(baseHref, baseUrl).toString();
+    } catch (e) {
+      // Invalid <base href>, keep the page URL
     }
-    
-    // Match src attributes (images, scripts)
-    const srcRegex = /src\s*=\s*["']([^"']+)["']/gi;
-    
-    while ((match = srcRegex.exec(html)) !== null) {
-      const src = match[1];
-      
-      // Skip data URLs and blobs
-      if (src.startsWith('data:') || src.startsWith('blob:')) {
-        continue;
+    const pageHost = new URL(baseUrl).hostname;
+
+    const add = (el, attribute, value) => {
+      const href = (value || '').trim();
+
+      // Skip empty anchors, javascript, mailto, tel, data URLs and blobs;
+      // in-page anchors only count on elements a visitor clicks
+      if (!href || href === '#' || SKIPPED_SCHEMES.some(prefix => href.toLowerCase().startsWith(prefix))) {
+        return;
       }
-      
+      if (href.startsWith('#') && !NAVIGATION_ELEMENTS.includes(el.tagName)) {
+        return;
+      }
+
+      let absoluteUrl;
       try {
-        const absoluteUrl = new URL(src, baseUrl).toString();
-        links.push({
-          href: src,
-          absoluteUrl,
-          isExternal: new URL(absoluteUrl).hostname !== base.hostname,
-          isResource: true
-        });
+        absoluteUrl = new URL(href, base).toString();
       } catch (e) {
-        // Invalid URL, skip
+        return; // Invalid URL, skip
       }
-    }
-    
+      if (!/^https?:$/.test(new URL(absoluteUrl).protocol)) return;
+
+      const $el = $(el);
+      const location = el.sourceCodeLocation;
+      links.push({
+        href,
+        absoluteUrl,
+        isExternal: new URL(absoluteUrl).hostname !== pageHost,
+        isResource: !NAVIGATION_ELEMENTS.includes(el.tagName),
+        element: el.tagName,
+        attribute,
+        text: this.linkText($, el),
+        rel: $el.attr('rel') || null,
+        target: $el.attr('target') || null,
+        line: location ? location.startLine : null
+      });
+    };
+
+    $(Object.keys(LINK_ATTRIBUTES).join(', ')).each((i, el) => {
+      if (el.tagName === 'link' && !this.isFetchableLink($(el).attr('rel'))) return;
+
+      LINK_ATTRIBUTES[el.tagName].forEach(attribute => {
+        const value = $(el).attr(attribute);
+        if (value === undefined) return;
+        if (attribute === 'srcset') {
+          this.parseSrcset(value).forEach(url => add(el, attribute, url));
+        } else {
+          add(el, attribute, value);
+        }
+      });
+    });
+
     return links;
   }
 
+  /**
+   * Check whether a <link> points at a document that can be fetched
+   * (preconnect / dns-prefetch only name an origin)
+   * @param {string} rel - rel attribute
+   * @returns {boolean} True if the href should be checked
+   */
+  isFetchableLink(rel) {
+    const values = (rel || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return !values.some(value => ORIGIN_ONLY_RELS.includes(value));
+  }
+
+  /**
+   * Get the URLs of a srcset attribute
+   * @param {string} srcset - srcset value, e.g. "a.png 1x, b.png 2x"
+   * @returns {Array<string>} Candidate URLs
+   */
+  parseSrcset(srcset) {
+    const urls = [];
+    let rest = srcset || '';
+
+    // A URL runs to the next whitespace; trailing commas end the candidate,
+    // otherwise its descriptors run to the next comma
+    while ((rest = rest.replace(/^[\s,]+/, ''))) {
+      let url = rest.match(/^\S+/)[0];
+      rest = rest.slice(url.length);
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        rest = rest.replace(/^[^,]*/, '');
+      }
+      urls.push(url);
+    }
+
+    return urls;
+  }
+
+  /**
+   * Get the text a reader sees for a link: anchor text, or the alt text of a
+   * linked image, or its accessible label
+   * @param {object} $ - Loaded cheerio document
+   * @param {object} el - Element
+   * @returns {string|null} Text (up to 100 characters)
+   */
+  linkText($, el) {
+    const $el = $(el);
+    const text = NAVIGATION_ELEMENTS.includes(el.tagName)
+      ? $el.text() || $el.find('img[alt]').first().attr('alt')
+      : $el.attr('alt');
+    const label = (text || '').replace(/\s+/g, ' ').trim() ||
+      $el.attr('aria-label') || $el.attr('title') || '';
+    return label ? label.trim().slice(0, 100) : null;
+  }
+
   /**
    * Validate all links on a page
    * @param {string} pageUrl - Page URL to scan
    * @param {boolean} checkExternal - Whether to check external links
+   * @param {Set<string>} checkedUrls - URLs already checked for this site
+   * @param {Array<object>} criticalLinks - The site's critical link declarations
    * @returns {Promise<object>} Validation results
    */
-  async validatePageLinks(pageUrl, checkExternal = false) {
-    console.log(`  🔗 Scanning links on: ${pageUrl}`);
-    
-    const pageResult = await this.fetchPage(pageUrl);
+  async validatePageLinks(pageUrl, checkExternal = false, checkedUrls = new Set(), criticalLinks = []) {
+    const pageResult = await this.scheduler.schedule(Scheduler.hostOf(pageUrl), () => {
+      console.log(`  🔗 Scanning links on: ${pageUrl}`);
+      return this.fetchPage(pageUrl);
+    }, () => ({ url: pageUrl, statusCode: 0, isOk: false, error: 'Run deadline reached before the page was fetched' }));
     
     if (!pageResult.isOk) {
       return {
         pageUrl,
         error: pageResult.error || `HTTP ${pageResult.statusCode}`,
         links: [],
-        brokenLinks: []
+        brokenLinks: [],
+        blockedLinks: [],
+        timedOutLinks: [],
+        crossDomainRedirects: [],
+        failingLinks: [],
+        mixedContent: [],
+        insecureLinks: [],
+        criticalLinksFound: []
       };
     }
     
-    const links = this.extractLinks(pageResult.body, pageUrl);
-    const uniqueLinks = [...new Map(links.map(l => [l.absoluteUrl, l])).values()];
+    const isHtml = !pageResult.contentType || /html/i.test(pageResult.contentType);
+    const links = isHtml ? this.extractLinks(pageResult.body, pageUrl) : [];
+    if (isHtml) {
+      this.documentAnchors.set(this.normalizeUrl(pageUrl), Promise.resolve(this.extractAnchorTargets(pageResult.body)));
+    }
+    // Match critical links against every occurrence - the logo and the CTA may share a URL
+    const criticalLinksFound = [];
+    links.forEach(link => {
+      const critical = this.findCriticalLink(link, criticalLinks, pageUrl);
+      if (!critical) return;
+      link.critical = critical.name;
+      if (!criticalLinksFound.includes(critical.name)) criticalLinksFound.push(critical.name);
+    });
+
+    // Keep the first occurrence, so the report points at the earliest line, unless a later one
+    // is critical; "/terms#a" and "/terms#b" are the same link to check
+    const unique = new Map();
+    links.forEach(link => {
+      const key = link.absoluteUrl.split('#')[0];
+      const kept = unique.get(key);
+      if (!kept || (!kept.critical && link.critical)) unique.set(key, link);
+    });
+    const uniqueLinks = [...unique.values()];
     
     console.log(`    Found ${uniqueLinks.length} unique links`);
     
@@ -241,26 +662,79 @@ class LinkValidator {
       checkedLinks: 0,
       validLinks: 0,
       brokenLinks: [],
+      blockedLinks: [],
+      timedOutLinks: [],
+      crossDomainRedirects: [],
+      failingLinks: [],
+      ...this.findMixedContent(links, pageUrl),
       redirects: [],
-      skippedExternal: 0
+      criticalLinksFound,
+      skippedExternal: 0,
+      skippedExcluded: 0,
+      skippedNonCritical: 0,
+      skippedDeadline: 0,
+      cachedLinks: 0
     };
+
+    // Kept for the performance budget check, the crawler and the anchor check, but out of the JSON report
+    Object.defineProperties(results, {
+      pageLinks: { value: links },
+      body: { value: pageResult.body },
+      transferSize: { value: pageResult.transferSize },
+      compression: { value: pageResult.compression }
+    });
     
-    for (const link of uniqueLinks) {
+    const toCheck = uniqueLinks.filter(link => {
+      // In-page anchors point at this page, which is already loaded - the anchor check covers them
+      if (link.href.startsWith('#')) {
+        return false;
+      }
+
+      // Form targets expect a submission, not a GET
+      if (link.element === 'form') {
+        return false;
+      }
+
       // Skip already checked URLs
-      if (this.checkedUrls.has(link.absoluteUrl)) {
-        continue;
+      const checkKey = link.absoluteUrl.split('#')[0];
+      if (checkedUrls.has(checkKey)) {
+        return false;
       }
       
-      // Skip external links if not requested
-      if (link.isExternal && !checkExternal) {
-        results.skippedExternal++;
-        continue;
+      // Declared critical links (CTAs, store links) are always checked, external or not
+      if (!link.critical) {
+        if (this.onlyCriticalLinks) {
+          results.skippedNonCritical++;
+          return false;
+        }
+        if (this.isExcluded(link)) {
+          results.skippedExcluded++;
+          return false;
+        }
+        // Skip external links if not requested
+        if (link.isExternal && !checkExternal) {
+          results.skippedExternal++;
+          return false;
+        }
       }
       
-      this.checkedUrls.add(link.absoluteUrl);
+      checkedUrls.add(checkKey);
+      return true;
+    });
+
+    const linkResults = await Promise.all(toCheck.map(link => this.checkLinkOnce(link)));
+    
+    toCheck.forEach((link, index) => {
+      const linkResult = linkResults[index];
+
+      // Not checked before the run deadline - neither valid nor broken
+      if (linkResult.skipped) {
+        results.skippedDeadline++;
+        return;
+      }
+
       results.checkedLinks++;
-      
-      const linkResult = await this.checkLink(link.absoluteUrl);
+      if (linkResult.fromCache) results.cachedLinks++;
       
       if (linkResult.isOk) {
         results.validLinks++;
@@ -271,18 +745,220 @@ class LinkValidator {
             statusCode: linkResult.statusCode
           });
         }
-      } else {
-        results.brokenLinks.push({
+      }
+
+      if (linkResult.category === 'ok') return;
+      const entry = {
+        url: link.absoluteUrl,
+        foundOn: pageUrl,
+        href: link.href,
+        element: link.element,
+        text: link.text,
+        rel: link.rel,
+        target: link.target,
+        line: link.line,
+        critical: link.critical || null,
+        statusCode: linkResult.statusCode,
+        error: linkResult.error,
+        redirectTo: linkResult.redirectTo,
+        failures: linkResult.failures
+      };
+      // Only real breakage counts as broken
+      const lists = {
+        'cross-domain-redirect': results.crossDomainRedirects,
+        blocked: results.blockedLinks,
+        timeout: results.timedOutLinks,
+        failing: results.failingLinks
+      };
+      (lists[linkResult.category] || results.brokenLinks).push(entry);
+    });
+    
+    return results;
+  }
+
+  /**
+   * Sort a plain http:// link on an HTTPS page: active or passive mixed content,
+   * or a link to one of our own domains
+   * @param {object} link - Extracted link
+   * @param {Array<string>} ownDomains - Registrable domains we own
+   * @returns {string|null} 'active' | 'passive' | 'insecure-link' | null
+   */
+  classifyInsecureLink(link, ownDomains) {
+    const rels = (link.rel || '').toLowerCase().split(/\s+/);
+    if (ACTIVE_ELEMENTS.includes(link.element)) return 'active';
+    if (PASSIVE_ELEMENTS.includes(link.element)) return 'passive';
+    if (link.element === 'link' && rels.some(rel => ACTIVE_LINK_RELS.includes(rel))) return 'active';
+    if (link.element === 'link' && rels.some(rel => PASSIVE_LINK_RELS.includes(rel))) return 'passive';
+
+    // Plain links (a, area, canonical...) are only a problem when they point at us
+    const domain = getRegistrableDomain(new URL(link.absoluteUrl).hostname);
+    return ownDomains.includes(domain) ? 'insecure-link' : null;
+  }
+
+  /**
+   * Find resources and own-domain links an HTTPS page references over plain http://
+   * @param {Array<object>} links - Links extracted from the page
+   * @param {string} pageUrl - Page URL
+   * @returns {object} { mixedContent, insecureLinks }
+   */
+  findMixedContent(links, pageUrl) {
+    const found = { mixedContent: [], insecureLinks: [] };
+    if (new URL(pageUrl).protocol !== 'https:') return found;
+
+    const ownDomains = this.ownDomains.concat(getRegistrableDomain(new URL(pageUrl).hostname));
+    const seen = new Set();
+    links
+      .filter(link => new URL(link.absoluteUrl).protocol === 'http:')
+      .forEach(link => {
+        const kind = this.classifyInsecureLink(link, ownDomains);
+        if (!kind || seen.has(`${kind} ${link.absoluteUrl}`)) return;
+        seen.add(`${kind} ${link.absoluteUrl}`);
+
+        const entry = {
           url: link.absoluteUrl,
           foundOn: pageUrl,
-          href: link.href,
-          statusCode: linkResult.statusCode,
-          error: linkResult.error
+          element: link.element,
+          attribute: link.attribute,
+          text: link.text,
+          line: link.line
+        };
+        if (kind === 'insecure-link') {
+          found.insecureLinks.push(entry);
+        } else {
+          found.mixedContent.push({ ...entry, kind });
+        }
+      });
+
+    return found;
+  }
+
+  /**
+   * Get the fragment targets of a document: element ids and <a name> anchors
+   * @param {string} html - HTML content
+   * @returns {Set<string>} Target names
+   */
+  extractAnchorTargets(html) {
+    const $ = cheerio.load(html);
+    const targets = new Set();
+    $('[id]').each((i, el) => targets.add($(el).attr('id')));
+    $('a[name]').each((i, el) => targets.add($(el).attr('name')));
+    return targets;
+  }
+
+  /**
+   * Get the fragment a link points at, or null when there is nothing to verify
+   * (no fragment, "#top", SPA routes like "#/path" or "#!path", text fragments)
+   * @param {string} urlString - Absolute URL
+   * @returns {string|null} Decoded fragment
+   */
+  getFragment(urlString) {
+    const hash = new URL(urlString).hash.slice(1).split(':~:')[0];
+    if (!hash || hash.toLowerCase() === 'top' || /^[/!]/.test(hash)) return null;
+    try {
+      return decodeURIComponent(hash);
+    } catch (e) {
+      return hash;
+    }
+  }
+
+  /**
+   * Get the fragment targets of a same-origin document, fetching it if the crawl did not
+   * @param {string} urlString - Document URL
+   * @returns {Promise<Set<string>|null>} Targets, or null if the document could not be read
+   */
+  getDocumentAnchors(urlString) {
+    const key = this.normalizeUrl(urlString);
+    if (!this.documentAnchors.has(key)) {
+      const url = urlString.split('#')[0];
+      this.documentAnchors.set(key, this.scheduler.schedule(Scheduler.hostOf(url),
+        () => this.fetchPage(url),
+        () => ({ url, statusCode: 0, isOk: false })
+      ).then(page => {
+        const isHtml = !page.contentType || /html/i.test(page.contentType);
+        return page.statusCode === 200 && isHtml ? this.extractAnchorTargets(page.body) : null;
+      }));
+    }
+    return this.documentAnchors.get(key);
+  }
+
+  /**
+   * Check that in-page and same-origin #fragment links have a matching id or name
+   * @param {Array<object>} pages - Scanned page results
+   * @param {string} origin - Site origin
+   * @returns {Promise<Array<object>>} Broken anchors
+   */
+  async validateAnchors(pages, origin) {
+    const candidates = [];
+    pages.forEach(page => {
+      const seen = new Set();
+      (page.pageLinks || [])
+        .filter(link => !link.isResource && new URL(link.absoluteUrl).origin === origin)
+        .forEach(link => {
+          const fragment = this.getFragment(link.absoluteUrl);
+          if (fragment === null || seen.has(link.absoluteUrl)) return;
+          seen.add(link.absoluteUrl);
+          candidates.push({ page, link, fragment });
         });
-      }
+    });
+
+    const targets = await Promise.all(candidates.map(({ link }) => this.getDocumentAnchors(link.absoluteUrl)));
+
+    return candidates
+      .filter(({ fragment }, index) => targets[index] && !targets[index].has(fragment))
+      .map(({ page, link, fragment }) => ({
+        url: link.absoluteUrl,
+        fragment,
+        foundOn: page.pageUrl,
+        href: link.href,
+        text: link.text,
+        line: link.line,
+        element: link.element
+      }));
+  }
+
+  /**
+   * Normalize a page URL so the crawler visits it once
+   * (no fragment, no utm_* parameters, sorted query, no trailing slash)
+   * @param {string} urlString - URL
+   * @returns {string} Normalized URL
+   */
+  normalizeUrl(urlString) {
+    const url = new URL(urlString);
+    url.hash = '';
+    [...url.searchParams.keys()]
+      .filter(key => /^utm_/i.test(key))
+      .forEach(key => url.searchParams.delete(key));
+    url.searchParams.sort();
+    if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+    return url.toString();
+  }
+
+  /**
+   * Read the page URLs listed in /sitemap.xml, following sitemap indexes
+   * @param {string} siteUrl - Site URL
+   * @returns {Promise<Array<string>>} Page URLs
+   */
+  async fetchSitemapUrls(siteUrl) {
+    const queue = [new URL('/sitemap.xml', siteUrl).toString()];
+    const read = new Set();
+    const urls = [];
+
+    while (queue.length > 0 && read.size < MAX_SITEMAPS) {
+      const sitemapUrl = queue.shift();
+      if (read.has(sitemapUrl)) continue;
+      read.add(sitemapUrl);
+
+      const result = await this.scheduler.schedule(Scheduler.hostOf(sitemapUrl),
+        () => this.fetchPage(sitemapUrl),
+        () => ({ url: sitemapUrl, statusCode: 0, isOk: false }));
+      if (result.statusCode !== 200 || !result.body) continue;
+
+      const $ = cheerio.load(result.body, { xml: true });
+      $('sitemapindex > sitemap > loc').each((i, el) => queue.push($(el).text().trim()));
+      $('urlset > url > loc').each((i, el) => urls.push($(el).text().trim()));
     }
-    
-    return results;
+
+    return urls;
   }
 
   /**
@@ -293,7 +969,7 @@ class LinkValidator {
   async validateSite(site) {
     console.log(`🔗 Validating links: ${site.name}`);
     
-    this.checkedUrls.clear();
+    const checkedUrls = new Set();
     
     const results = {
       siteId: site.id,
@@ -302,30 +978,161 @@ class LinkValidator {
       pages: [],
       totalBrokenLinks: 0,
       allBrokenLinks: [],
+      blockedLinks: [],
+      timedOutLinks: [],
+      crossDomainRedirects: [],
+      failingLinks: [],
+      mixedContent: [],
+      insecureLinks: [],
+      missingCriticalLinks: [],
       timestamp: new Date().toISOString()
     };
     
-    // Check main page
-    const mainResult = await this.validatePageLinks(site.url);
-    mainResult.pageName = 'Main';
-    results.pages.push(mainResult);
-    results.allBrokenLinks.push(...mainResult.brokenLinks);
-    
-    // Check additional pages
-    if (site.pages && site.pages.length > 0) {
-      for (const page of site.pages) {
-        if (page.path === '/') continue; // Skip if already checked main
-        
-        const pageUrl = new URL(page.path, site.url).toString();
-        const pageResult = await this.validatePageLinks(pageUrl);
-        pageResult.pageName = page.name;
-        results.pages.push(pageResult);
-        results.allBrokenLinks.push(...pageResult.brokenLinks);
+    const criticalLinks = this.getCriticalLinks(site);
+    const crawl = { maxDepth: this.maxDepth, maxPages: this.maxPages, sitemap: this.sitemap, ...site.crawl };
+    const origin = new URL(site.url).origin;
+
+    // Main page plus additional pages (skipping '/', already checked as main,
+    // and protected pages, which only the uptime check has credentials for)
+    const pages = [{ name: 'Main', url: site.url }]
+      .concat((site.pages || [])
+        .filter(page => page.path !== '/' && !page.auth)
+        .map(page => ({ name: page.name, url: new URL(page.path, site.url).toString() })));
+
+    // Critical links may be declared on a page that is not otherwise monitored
+    criticalLinks.forEach(critical => {
+      if (critical.pageUrl && !pages.some(page => page.url === critical.pageUrl)) {
+        pages.push({ name: new URL(critical.pageUrl).pathname, url: critical.pageUrl });
       }
+    });
+
+    const protectedUrls = new Set((site.pages || [])
+      .filter(page => page.auth)
+      .map(page => this.normalizeUrl(new URL(page.path, site.url).toString())));
+
+    // Every page the crawl knows about, by normalized URL
+    const known = new Map();
+    const addPage = (url, page) => {
+      const key = this.normalizeUrl(url);
+      if (!known.has(key)) known.set(key, { url, foundOn: null, inSitemap: false, ...page });
+      return known.get(key);
+    };
+    pages.forEach(page => addPage(page.url, { name: page.name, depth: 0, source: 'declared' }));
+
+    let sitemapUrls = [];
+    let truncated = false;
+    if (crawl.sitemap) {
+      sitemapUrls = (await this.fetchSitemapUrls(site.url)).filter(url => {
+        try {
+          return new URL(url).origin === origin && !protectedUrls.has(this.normalizeUrl(url));
+        } catch (e) {
+          return false;
+        }
+      });
+      sitemapUrls.forEach(url => {
+        const key = this.normalizeUrl(url);
+        if (!known.has(key) && known.size >= crawl.maxPages) {
+          truncated = true;
+          return;
+        }
+        addPage(url, { name: new URL(url).pathname, depth: 0, source: 'sitemap' }).inSitemap = true;
+      });
     }
+
+    // Breadth-first: each level is scanned in parallel, links found on it make the next level
+    let level = [...known.values()];
+    while (level.length > 0) {
+      const scanned = await Promise.all(level.map(async (page) => {
+        const pageResult = await this.validatePageLinks(page.url, this.checkExternal, checkedUrls, criticalLinks);
+        pageResult.pageName = page.name;
+        pageResult.depth = page.depth;
+        pageResult.source = page.source;
+        return pageResult;
+      }));
+      results.pages.push(...scanned);
+
+      const next = [];
+      scanned.forEach((pageResult, index) => {
+        const ownKey = this.normalizeUrl(level[index].url);
+        (pageResult.pageLinks || [])
+          .filter(link => !link.isResource && new URL(link.absoluteUrl).origin === origin && !this.isExcluded(link))
+          .forEach(link => {
+            const key = this.normalizeUrl(link.absoluteUrl);
+            if (key === ownKey || protectedUrls.has(key)) return;
+
+            if (known.has(key)) {
+              const page = known.get(key);
+              if (!page.foundOn) page.foundOn = pageResult.pageUrl;
+              return;
+            }
+            if (level[index].depth >= crawl.maxDepth) return;
+            if (known.size >= crawl.maxPages) {
+              truncated = true;
+              return;
+            }
+            const page = addPage(link.absoluteUrl, {
+              name: new URL(link.absoluteUrl).pathname,
+              depth: level[index].depth + 1,
+              source: 'crawl'
+            });
+            page.foundOn = pageResult.pageUrl;
+            next.push(page);
+          });
+      });
+      level = next;
+    }
+
+    results.brokenAnchors = this.checkAnchors ? await this.validateAnchors(results.pages, origin) : [];
+
+    const main = results.pages[0];
+    results.crawl = {
+      maxDepth: crawl.maxDepth,
+      maxPages: crawl.maxPages,
+      pagesScanned: results.pages.length,
+      sitemapUrls: sitemapUrls.length,
+      truncated,
+      undeclaredPages: [...known.entries()]
+        .filter(([key, page]) => page.source !== 'declared')
+        .map(([key, page]) => ({ url: key, foundOn: page.foundOn || 'sitemap.xml' })),
+      // Only meaningful when the start page could be crawled
+      unreachablePages: main.error ? [] : [...known.values()]
+        .filter(page => page.source === 'declared' && page.url !== site.url && !page.foundOn && !page.inSitemap)
+        .map(page => ({ name: page.name, url: page.url }))
+    };
+    results.pages.forEach(page => {
+      results.allBrokenLinks.push(...page.brokenLinks);
+      results.blockedLinks.push(...page.blockedLinks);
+      results.timedOutLinks.push(...page.timedOutLinks);
+      results.crossDomainRedirects.push(...page.crossDomainRedirects);
+      results.failingLinks.push(...page.failingLinks);
+      results.mixedContent.push(...page.mixedContent);
+      results.insecureLinks.push(...page.insecureLinks);
+    });
+
+    criticalLinks.forEach(critical => {
+      const scanned = results.pages.filter(page => !critical.pageUrl || page.pageUrl === critical.pageUrl);
+      if (scanned.some(page => page.criticalLinksFound.includes(critical.name))) return;
+
+      const failedPage = scanned.find(page => page.error && page.source === 'declared');
+      results.missingCriticalLinks.push({
+        name: critical.name,
+        href: critical.href,
+        text: critical.text,
+        page: critical.pageUrl || site.url,
+        error: failedPage ? `Page could not be scanned: ${failedPage.error}` : 'Not found on the page'
+      });
+    });
     
     results.totalBrokenLinks = results.allBrokenLinks.length;
-    results.status = results.totalBrokenLinks === 0 ? 'ok' : 'warning';
+    results.totalCriticalLinks = criticalLinks.length;
+    if (results.missingCriticalLinks.length > 0 || results.allBrokenLinks.some(link => link.critical) ||
+        results.mixedContent.some(item => item.kind === 'active')) {
+      results.status = 'error';
+    } else {
+      const hasWarnings = results.totalBrokenLinks > 0 || results.brokenAnchors.length > 0 ||
+        results.mixedContent.length > 0 || results.insecureLinks.length > 0;
+      results.status = hasWarnings ? 'warning' : 'ok';
+    }
     
     return results;
   }
@@ -336,13 +1143,9 @@ class LinkValidator {
    * @returns {Promise<Array<object>>} Array of validation results
    */
   async validateMultipleSites(sites) {
-    const results = [];
-    
-    for (const site of sites) {
-      const result = await this.validateSite(site);
-      results.push(result);
-    }
-    
+    // Page fetches and link checks are the scheduled units, so sites all start at once
+    const results = await Promise.all(sites.map(site => this.validateSite(site)));
+    this.saveLinkCache();
     return results;
   }
 
@@ -353,13 +1156,30 @@ class LinkValidator {
    */
   generateSummary(results) {
     const allBroken = results.flatMap(r => r.allBrokenLinks);
+    const missingCritical = results.flatMap(r => r.missingCriticalLinks);
+    const brokenAnchors = results.flatMap(r => r.brokenAnchors);
+    const mixedContent = results.flatMap(r => r.mixedContent);
+    const activeMixedContent = mixedContent.filter(item => item.kind === 'active');
     
     return {
       totalSites: results.length,
       sitesWithBrokenLinks: results.filter(r => r.totalBrokenLinks > 0).length,
       totalBrokenLinks: allBroken.length,
       brokenLinks: allBroken,
-      allHealthy: allBroken.length === 0,
+      missingCriticalLinks: missingCritical.length,
+      brokenAnchors: brokenAnchors.length,
+      activeMixedContent: activeMixedContent.length,
+      passiveMixedContent: mixedContent.length - activeMixedContent.length,
+      insecureLinks: results.reduce((total, r) => total + r.insecureLinks.length, 0),
+      blockedLinks: results.reduce((total, r) => total + r.blockedLinks.length, 0),
+      timedOutLinks: results.reduce((total, r) => total + r.timedOutLinks.length, 0),
+      crossDomainRedirects: results.reduce((total, r) => total + r.crossDomainRedirects.length, 0),
+      failingLinks: results.reduce((total, r) => total + r.failingLinks.length, 0),
+      pagesScanned: results.reduce((total, r) => total + r.crawl.pagesScanned, 0),
+      undeclaredPages: results.reduce((total, r) => total + r.crawl.undeclaredPages.length, 0),
+      unreachablePages: results.reduce((total, r) => total + r.crawl.unreachablePages.length, 0),
+      // Broken anchors are warnings: the page still loads, and anchors added by JavaScript look broken
+      allHealthy: allBroken.length === 0 && missingCritical.length === 0 && activeMixedContent.length === 0,
       details: results
     };
   }
@@ -370,8 +1190,20 @@ class LinkValidator {
    * @returns {string} Formatted string
    */
   formatResult(result) {
-    const icon = result.totalBrokenLinks === 0 ? '✅' : '⚠️';
-    return `${icon} ${result.siteName}: ${result.totalBrokenLinks} broken links`;
+    const icons = { ok: '✅', warning: '⚠️', error: '❌' };
+    const missing = (result.missingCriticalLinks.length > 0
+      ? `, ${result.missingCriticalLinks.length} missing critical links`
+      : '') + (result.brokenAnchors.length > 0 ? `, ${result.brokenAnchors.length} broken anchors` : '') +
+      (result.mixedContent.length > 0 ? `, ${result.mixedContent.length} mixed content` : '');
+    const notes = [
+      result.blockedLinks.length > 0 ? `${result.blockedLinks.length} blocked` : null,
+      result.timedOutLinks.length > 0 ? `${result.timedOutLinks.length} timed out` : null,
+      result.crossDomainRedirects.length > 0 ? `${result.crossDomainRedirects.length} cross-domain redirects` : null,
+      result.failingLinks.length > 0 ? `${result.failingLinks.length} failing` : null
+    ].filter(Boolean);
+    return `${icons[result.status] || '❓'} ${result.siteName}: ${result.totalBrokenLinks} broken links${missing}` +
+      (notes.length > 0 ? ` (${notes.join(', ')})` : '') + ' ' +
+      `(${result.crawl.pagesScanned} pages crawled${result.crawl.truncated ? ', page cap reached' : ''})`;
   }
 }
 
@@ -382,6 +1214,7 @@ module.exports = LinkValidator;
 if (require.main === module) {
   const fs = require('fs');
   const path = require('path');
+  const { collectRegistrableDomains } = require('../lib/domains');
   
   async function main() {
     console.log('🦎 QA Iguana Agent - Link Validator');
@@ -391,7 +1224,24 @@ if (require.main === module) {
     const configPath = path.join(__dirname, '..', 'config', 'sites.json');
     const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
     
-    const validator = new LinkValidator();
+    const linkCheck = config.settings.linkCheck || {};
+    const externalCache = linkCheck.externalCache || {};
+    const validator = new LinkValidator({
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config),
+      checkExternal: linkCheck.checkExternal,
+      ttlHours: externalCache.ttlHours,
+      domainTtlHours: externalCache.domainTtlHours,
+      failuresBeforeBroken: externalCache.failuresBeforeBroken,
+      excludePatterns: linkCheck.excludePatterns,
+      onlyCriticalLinks: linkCheck.onlyCriticalLinks,
+      maxRedirects: (config.settings.redirects || {}).maxRedirects,
+      checkAnchors: linkCheck.checkAnchors,
+      ownDomains: collectRegistrableDomains(config),
+      maxDepth: linkCheck.maxDepth,
+      maxPages: linkCheck.maxPages,
+      sitemap: linkCheck.sitemap
+    });
     
     // Filter sites that have link validation enabled
     const sitesToCheck = config.sites.filter(site => site.checks.links);
@@ -407,9 +1257,39 @@ if (require.main === module) {
       
       if (result.totalBrokenLinks > 0) {
         result.allBrokenLinks.forEach(link => {
-          console.log(`  ❌ ${link.href} → ${link.error || link.statusCode}`);
+          console.log(`  ❌ ${link.href}${link.line ? ` (line ${link.line})` : ''} → ${link.error || link.statusCode}`);
         });
       }
+      result.blockedLinks.forEach(link => {
+        console.log(`  ⛔ ${link.href} → ${link.statusCode} (bot protection)`);
+      });
+      result.timedOutLinks.forEach(link => {
+        console.log(`  ⏱️ ${link.href} → Timeout`);
+      });
+      result.crossDomainRedirects.forEach(link => {
+        console.log(`  ↪️ ${link.href} → ${link.redirectTo}`);
+      });
+      result.failingLinks.forEach(link => {
+        console.log(`  🟡 ${link.href} → ${link.error || link.statusCode} (failed ${link.failures}/${validator.failuresBeforeBroken} checks in a row)`);
+      });
+      result.missingCriticalLinks.forEach(link => {
+        console.log(`  🚫 Missing critical link "${link.name}" on ${link.page}: ${link.error}`);
+      });
+      result.mixedContent.forEach(item => {
+        console.log(`  🔓 ${item.kind} mixed content: <${item.element}> ${item.url} on ${item.foundOn}`);
+      });
+      result.insecureLinks.forEach(item => {
+        console.log(`  🔓 http:// link to our domain: ${item.url} on ${item.foundOn}`);
+      });
+      result.brokenAnchors.forEach(anchor => {
+        console.log(`  ⚓ ${anchor.href} on ${anchor.foundOn}${anchor.line ? ` (line ${anchor.line})` : ''} → no #${anchor.fragment} target`);
+      });
+      result.crawl.undeclaredPages.forEach(page => {
+        console.log(`  🆕 Not in sites.json: ${page.url} (found on ${page.foundOn})`);
+      });
+      result.crawl.unreachablePages.forEach(page => {
+        console.log(`  🏝️ Declared but not linked: ${page.name} (${page.url})`);
+      });
     });
     
     console.log('\n📈 Summary:');
@@ -417,6 +1297,7 @@ if (require.main === module) {
     console.log(`Total sites checked: ${summary.totalSites}`);
     console.log(`Sites with broken links: ${summary.sitesWithBrokenLinks}`);
     console.log(`Total broken links: ${summary.totalBrokenLinks}`);
+    console.log(`Missing critical links: ${summary.missingCriticalLinks}`);
     console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '⚠️ No'}`);
     
     return summary;
@@ -0,0 +1,612 @@
+/**
+ * 🦎 QA Iguana Agent - Performance Budget
+ * Measures page weight (HTML, scripts, stylesheets, images, fonts) against
+ * per-site budgets and reports regressions since the previous run
+ */
+
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const cheerio = require('cheerio');
+const Scheduler = require('../lib/scheduler');
+const StateStore = require('../lib/state-store');
+const { ACCEPT_ENCODING, decodeBody, getCompression } = require('../lib/http-body');
+
+const STATE_NAME = 'page-weight';
+
+const RESOURCE_TYPES = ['scripts', 'stylesheets', 'images', 'fonts'];
+const FONT_FILE = /\.(woff2?|ttf|otf|eot)([?#]|$)/i;
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+// Budget key → page metric it limits
+const BUDGET_METRICS = {
+  htmlBytes: metrics => metrics.htmlBytes,
+  scriptBytes: metrics => metrics.resources.scripts.bytes,
+  stylesheetBytes: metrics => metrics.resources.stylesheets.bytes,
+  imageBytes: metrics => metrics.resources.images.bytes,
+  fontBytes: metrics => metrics.resources.fonts.bytes,
+  totalBytes: metrics => metrics.totalBytes,
+  requests: metrics => metrics.requests
+};
+
+class PerformanceBudget {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.scheduler = options.scheduler || new Scheduler();
+    this.store = options.store || new StateStore();
+    this.budget = options.budget || {};
+    this.regressionPercent = options.regressionPercent || 20;
+    this.regressionMinBytes = options.regressionMinBytes || 10240;
+    this.maxRedirects = options.maxRedirects || 5;
+    this.sizes = new Map();
+  }
+
+  /**
+   * Collect the page bodies UptimeMonitor and LinkValidator already downloaded
+   * @param {...object} summaries - Uptime / link summaries (either may be missing)
+   * @returns {Map<string, object>} Normalized page URL → { url, body, transferSize, compression }
+   */
+  static collectDownloads(...summaries) {
+    const downloads = new Map();
+
+    summaries.filter(Boolean).forEach(summary => {
+      (summary.details || []).forEach(site => {
+        (site.pages || []).forEach(page => {
+          const url = page.url || page.pageUrl;
+          if (!url || typeof page.body !== 'string' || page.isUp === false) return;
+
+          const key = PerformanceBudget.normalize(url);
+          if (downloads.has(key)) return;
+          downloads.set(key, {
+            url: page.finalUrl || url,
+            body: page.body,
+            transferSize: page.transferSize,
+            compression: page.compression
+          });
+        });
+      });
+    });
+
+    return downloads;
+  }
+
+  /**
+   * Normalize a URL for lookups
+   * @param {string} urlString - URL
+   * @returns {string} Normalized URL
+   */
+  static normalize(urlString) {
+    try {
+      return new URL(urlString).toString();
+    } catch (e) {
+      return urlString;
+    }
+  }
+
+  /**
+   * Request a URL, following redirects
+   * @param {string} urlString - URL to request
+   * @param {string} method - 'GET' or 'HEAD'
+   * @param {number} redirects - Redirects followed so far
+   * @returns {Promise<object>} { url, statusCode, headers, body, transferSize, compression, error }
+   */
+  async request(urlString, method = 'GET', redirects = 0) {
+    return new Promise((resolve) => {
+      try {
+        const url = new URL(urlString);
+        const protocol = url.protocol === 'https:' ? https : http;
+
+        const options = {
+          hostname: url.hostname,
+          port: url.port || (url.protocol === 'https:' ? 443 : 80),
+          path: url.pathname + url.search,
+          method,
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': 'QA-Iguana-Agent/1.0',
+            'Accept-Encoding': ACCEPT_ENCODING
+          }
+        };
+
+        const req = protocol.request(options, (res) => {
+          if (res.statusCode >= 300 && res.statusCode < 400 && res.headers['location']) {
+            res.resume();
+            if (redirects >= this.maxRedirects) {
+              resolve({ url: urlString, statusCode: res.statusCode, error: 'Too many redirects' });
+              return;
+            }
+            let next;
+            try {
+              next = new URL(res.headers['location'], urlString).toString();
+            } catch (error) {
+              resolve({ url: urlString, statusCode: res.statusCode, error: 'Invalid redirect location' });
+              return;
+            }
+            this.request(next, method, redirects + 1).then(resolve);
+            return;
+          }
+
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            resolve({
+              url: urlString,
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: decodeBody(raw, res.headers['content-encoding']).toString('utf8'),
+              transferSize: raw.length,
+              compression: getCompression(res.headers['content-encoding'])
+            });
+          });
+        });
+
+        req.on('error', (error) => {
+          resolve({ url: urlString, statusCode: 0, error: error.message });
+        });
+
+        req.on('timeout', () => {
+          req.destroy();
+          resolve({ url: urlString, statusCode: 0, error: 'Connection timeout' });
+        });
+
+        req.end();
+      } catch (error) {
+        resolve({ url: urlString, statusCode: 0, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Resolve a referenced URL, ignoring data:, blob: and non-HTTP schemes
+   * @param {string} value - href / src / url() value
+   * @param {string} baseUrl - Document URL
+   * @returns {string|null} Absolute URL
+   */
+  resolveUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+      const url = new URL(value.trim(), baseUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      url.hash = '';
+      return url.toString();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Find font files referenced by url() in CSS
+   * @param {string} css - Stylesheet text
+   * @param {string} baseUrl - URL the CSS was loaded from
+   * @returns {Array<string>} Font URLs
+   */
+  extractFontUrls(css, baseUrl) {
+    const fonts = [];
+    for (const match of css.matchAll(CSS_URL)) {
+      if (!FONT_FILE.test(match[2])) continue;
+      const url = this.resolveUrl(match[2], baseUrl);
+      if (url) fonts.push(url);
+    }
+    return fonts;
+  }
+
+  /**
+   * Find the scripts, stylesheets, images and fonts a page references
+   * @param {string} html - Page HTML
+   * @param {string} baseUrl - Page URL
+   * @returns {object} { scripts, stylesheets, images, fonts } arrays of URLs
+   */
+  extractResources(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const base = this.resolveUrl($('base[href]').attr('href'), baseUrl) || baseUrl;
+    const found = { scripts: new Set(), stylesheets: new Set(), images: new Set(), fonts: new Set() };
+    const add = (type, value) => {
+      const url = this.resolveUrl(value, base);
+      if (url) found[type].add(url);
+    };
+
+    $('script[src]').each((i, el) => add('scripts', $(el).attr('src')));
+    $('link[href]').each((i, el) => {
+      const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+      const as = ($(el).attr('as') || '').toLowerCase();
+      if (rel.includes('stylesheet')) add('stylesheets', $(el).attr('href'));
+      else if (rel.includes('preload') && as === 'font') add('fonts', $(el).attr('href'));
+      else if (rel.includes('preload') && as === 'image') add('images', $(el).attr('href'));
+    });
+    $('img[src]').each((i, el) => add('images', $(el).attr('src')));
+    $('style').each((i, el) => {
+      this.extractFontUrls($(el).html() || '', base).forEach(url => found.fonts.add(url));
+    });
+
+    const resources = {};
+    RESOURCE_TYPES.forEach(type => { resources[type] = [...found[type]]; });
+    return resources;
+  }
+
+  /**
+   * Measure a resource once per run; stylesheets are downloaded so their fonts can be found
+   * @param {string} urlString - Resource URL
+   * @param {string} type - Resource type
+   * @returns {Promise<object>} { url, bytes, statusCode, error, fonts }
+   */
+  measureResource(urlString, type) {
+    if (!this.sizes.has(urlString)) {
+      const skipped = () => ({ url: urlString, bytes: 0, skipped: true, error: 'Run deadline reached', fonts: [] });
+      this.sizes.set(urlString, this.scheduler.schedule(
+        Scheduler.hostOf(urlString),
+        () => this.fetchSize(urlString, type === 'stylesheets'),
+        skipped
+      ));
+    }
+    return this.sizes.get(urlString);
+  }
+
+  /**
+   * Get the transfer size of a resource, using HEAD where Content-Length is enough
+   * @param {string} urlString - Resource URL
+   * @param {boolean} isStylesheet - Download the body to look for fonts
+   * @returns {Promise<object>} { url, bytes, statusCode, error, fonts }
+   */
+  async fetchSize(urlString, isStylesheet) {
+    if (!isStylesheet) {
+      const head = await this.request(urlString, 'HEAD');
+      const length = parseInt((head.headers || {})['content-length'], 10);
+      if (head.statusCode >= 200 && head.statusCode < 300 && !isNaN(length)) {
+        return { url: urlString, bytes: length, statusCode: head.statusCode, fonts: [] };
+      }
+    }
+
+    // No usable HEAD answer (or a stylesheet): download it and count the bytes
+    const response = await this.request(urlString, 'GET');
+    const ok = response.statusCode >= 200 && response.statusCode < 300;
+    return {
+      url: urlString,
+      bytes: ok ? response.transferSize : 0,
+      statusCode: response.statusCode,
+      error: response.error || (ok ? undefined : `HTTP ${response.statusCode}`),
+      fonts: ok && isStylesheet ? this.extractFontUrls(response.body, urlString) : []
+    };
+  }
+
+  /**
+   * Get the page HTML, reusing a body another check already downloaded
+   * @param {string} pageUrl - Page URL
+   * @param {Map<string, object>} downloads - From collectDownloads
+   * @returns {Promise<object>} { url, body, transferSize, compression, reused, error }
+   */
+  async loadPage(pageUrl, downloads) {
+    const downloaded = downloads.get(PerformanceBudget.normalize(pageUrl));
+    if (downloaded) return { ...downloaded, reused: true };
+
+    const response = await this.scheduler.schedule(Scheduler.hostOf(pageUrl),
+      () => this.request(pageUrl, 'GET'),
+      () => ({ url: pageUrl, statusCode: 0, error: 'Run deadline reached before the page was fetched' }));
+
+    if (response.error || response.statusCode < 200 || response.statusCode >= 300) {
+      return { url: pageUrl, error: response.error || `HTTP ${response.statusCode}` };
+    }
+    return { ...response, reused: false };
+  }
+
+  /**
+   * Measure a page and everything it references
+   * @param {string} pageUrl - Page URL
+   * @param {Map<string, object>} downloads - From collectDownloads
+   * @returns {Promise<object>} Page weight metrics
+   */
+  async measurePage(pageUrl, downloads) {
+    const page = await this.loadPage(pageUrl, downloads);
+    if (page.error) {
+      return { pageUrl, error: page.error };
+    }
+
+    const found = this.extractResources(page.body, page.url);
+    const measured = {};
+    await Promise.all(RESOURCE_TYPES.map(async (type) => {
+      measured[type] = await Promise.all(found[type].map(url => this.measureResource(url, type)));
+    }));
+
+    // Fonts are usually only referenced from the stylesheets
+    const fontUrls = new Set(found.fonts);
+    const cssFonts = measured.stylesheets.flatMap(r => r.fonts).filter(url => !fontUrls.has(url));
+    const extraFonts = await Promise.all([...new Set(cssFonts)].map(url => this.measureResource(url, 'fonts')));
+    measured.fonts = measured.fonts.concat(extraFonts);
+
+    const resources = {};
+    RESOURCE_TYPES.forEach(type => {
+      resources[type] = {
+        count: measured[type].length,
+        bytes: measured[type].reduce((total, r) => total + r.bytes, 0),
+        failed: measured[type].filter(r => r.error).length
+      };
+    });
+
+    const htmlTransfer = page.transferSize !== undefined ? page.transferSize : Buffer.byteLength(page.body);
+    const resourceBytes = RESOURCE_TYPES.reduce((total, type) => total + resources[type].bytes, 0);
+
+    return {
+      pageUrl,
+      htmlBytes: Buffer.byteLength(page.body),
+      transferBytes: htmlTransfer,
+      compression: page.compression || null,
+      resources,
+      totalBytes: htmlTransfer + resourceBytes,
+      requests: 1 + RESOURCE_TYPES.reduce((total, type) => total + resources[type].count, 0),
+      reusedBody: page.reused
+    };
+  }
+
+  /**
+   * Compare page metrics against a budget
+   * @param {object} metrics - From measurePage
+   * @param {object} budget - Budget limits
+   * @returns {Array<object>} Overruns { metric, limit, actual, message }
+   */
+  checkBudget(metrics, budget) {
+    const overruns = [];
+
+    Object.entries(BUDGET_METRICS).forEach(([metric, read]) => {
+      const limit = budget[metric];
+      if (typeof limit !== 'number') return;
+      const actual = read(metrics);
+      if (actual > limit) {
+        const unit = metric === 'requests' ? '' : ' bytes';
+        overruns.push({ metric, limit, actual, message: `${metric} ${actual}${unit} exceeds budget of ${limit}${unit}` });
+      }
+    });
+
+    if (budget.requireCompression && !metrics.compression) {
+      overruns.push({ metric: 'compression', limit: 'gzip/br', actual: 'none', message: 'HTML is served without gzip or brotli' });
+    }
+
+    return overruns;
+  }
+
+  /**
+   * Compare page metrics with the previous run
+   * @param {object} metrics - From measurePage
+   * @param {object|undefined} previous - Stored metrics for the page
+   * @returns {Array<object>} Regressions { metric, previous, actual, increasePercent, message }
+   */
+  findRegressions(metrics, previous) {
+    if (!previous) return [];
+    const regressions = [];
+
+    ['htmlBytes', 'scriptBytes', 'stylesheetBytes', 'imageBytes', 'fontBytes', 'totalBytes'].forEach(metric => {
+      const before = previous[metric];
+      const actual = BUDGET_METRICS[metric](metrics);
+      if (typeof before !== 'number' || before <= 0) return;
+
+      const increase = actual - before;
+      const increasePercent = Math.round((increase / before) * 100);
+      if (increase >= this.regressionMinBytes && increasePercent >= this.regressionPercent) {
+        regressions.push({
+          metric,
+          previous: before,
+          actual,
+          increasePercent,
+          message: `${metric} grew ${increasePercent}% (${before} → ${actual} bytes)`
+        });
+      }
+    });
+
+    if (previous.compression && !metrics.compression) {
+      regressions.push({
+        metric: 'compression',
+        previous: previous.compression,
+        actual: null,
+        message: `HTML compression lost (was ${previous.compression})`
+      });
+    }
+
+    return regressions;
+  }
+
+  /**
+   * Check the budget for every page of a site
+   * @param {object} site - Site configuration
+   * @param {Map<string, object>} downloads - From collectDownloads
+   * @returns {Promise<object>} Site budget result
+   */
+  async checkSite(site, downloads = new Map()) {
+    console.log(`📦 Checking page weight: ${site.name}`);
+
+    const budget = { ...this.budget, ...(site.budget || {}) };
+
+    // Main page plus additional pages (skipping '/', already checked as main,
+    // and protected pages, which only the uptime check has credentials for)
+    const pages = [{ name: 'Main', url: site.url }]
+      .concat((site.pages || [])
+        .filter(page => page.path !== '/' && !page.auth)
+        .map(page => ({ name: page.name, path: page.path, url: new URL(page.path, site.url).toString() })));
+
+    const results = {
+      siteId: site.id,
+      siteName: site.name,
+      baseUrl: site.url,
+      budget,
+      pages: await Promise.all(pages.map(async (page) => {
+        const metrics = await this.measurePage(page.url, downloads);
+        metrics.pageName = page.name;
+        if (page.path !== undefined) metrics.pagePath = page.path;
+        if (!metrics.error) metrics.overruns = this.checkBudget(metrics, budget);
+        return metrics;
+      })),
+      timestamp: new Date().toISOString()
+    };
+
+    return results;
+  }
+
+  /**
+   * Check multiple sites and compare with the previous run
+   * @param {Array<object>} sites - Site configurations
+   * @param {Map<string, object>} downloads - From collectDownloads
+   * @returns {Promise<Array<object>>} Site budget results
+   */
+  async checkMultipleSites(sites, downloads = new Map()) {
+    const results = await Promise.all(sites.map(site => this.checkSite(site, downloads)));
+    this.track(results);
+    results.forEach(result => this.setStatus(result));
+    return results;
+  }
+
+  /**
+   * Attach regressions against the stored page weights and store this run
+   * @param {Array<object>} results - Site budget results
+   */
+  track(results) {
+    const history = this.store.load(STATE_NAME, { sites: {} });
+    const now = new Date().toISOString();
+
+    results.forEach(result => {
+      // Keyed by site as well, since two sites may share a URL with different budgets
+      const pages = history.sites[result.siteId] || {};
+      result.pages.forEach(page => {
+        if (page.error) return;
+        const key = PerformanceBudget.normalize(page.pageUrl);
+        page.regressions = this.findRegressions(page, pages[key]);
+
+        const snapshot = { compression: page.compression, requests: page.requests, recordedAt: now };
+        Object.entries(BUDGET_METRICS).forEach(([metric, read]) => {
+          if (metric !== 'requests') snapshot[metric] = read(page);
+        });
+        pages[key] = snapshot;
+      });
+      history.sites[result.siteId] = pages;
+    });
+
+    history.updatedAt = now;
+    this.store.save(STATE_NAME, history);
+  }
+
+  /**
+   * Set page and site status from errors, overruns and regressions
+   * @param {object} result - Site budget result
+   */
+  setStatus(result) {
+    result.pages.forEach(page => {
+      if (page.error) page.status = 'error';
+      else page.status = page.overruns.length > 0 || page.regressions.length > 0 ? 'warning' : 'ok';
+    });
+
+    const statuses = result.pages.map(p => p.status);
+    result.status = statuses.includes('error') ? 'error' : (statuses.includes('warning') ? 'warning' : 'ok');
+    result.overruns = result.pages.reduce((total, p) => total + (p.overruns || []).length, 0);
+    result.regressions = result.pages.reduce((total, p) => total + (p.regressions || []).length, 0);
+  }
+
+  /**
+   * Generate performance budget summary
+   * @param {Array<object>} results - Site budget results
+   * @returns {object} Summary
+   */
+  generateSummary(results) {
+    const summary = {
+      total: results.length,
+      withinBudget: results.filter(r => r.status === 'ok').length,
+      overBudget: results.filter(r => r.overruns > 0).length,
+      regressed: results.filter(r => r.regressions > 0).length,
+      errors: results.filter(r => r.status === 'error').length,
+      details: results
+    };
+
+    // Weight is a warning-level signal; only failing to measure is unhealthy
+    summary.allHealthy = summary.errors === 0;
+
+    return summary;
+  }
+
+  /**
+   * Format bytes for display
+   * @param {number} bytes - Byte count
+   * @returns {string} Formatted size
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes}B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+  }
+
+  /**
+   * Format result for display
+   * @param {object} result - Site budget result
+   * @returns {string} Formatted string
+   */
+  formatResult(result) {
+    const icons = {
+      ok: '✅',
+      warning: '⚠️',
+      error: '❌'
+    };
+
+    const icon = icons[result.status] || '❓';
+    const lines = [`${icon} ${result.siteName}: ${result.overruns} over budget, ${result.regressions} regressions`];
+
+    result.pages.forEach(page => {
+      if (page.error) {
+        lines.push(`   ${page.pageName}: ${page.error}`);
+        return;
+      }
+      lines.push(`   ${page.pageName}: ${this.formatBytes(page.totalBytes)} total, ` +
+        `${page.requests} requests, HTML ${this.formatBytes(page.htmlBytes)} (${page.compression || 'uncompressed'})`);
+      page.overruns.concat(page.regressions).forEach(issue => lines.push(`     - ${issue.message}`));
+    });
+
+    return lines.join('\n');
+  }
+}
+
+// Export for use as module
+module.exports = PerformanceBudget;
+
+// Run standalone if executed directly
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+
+  async function main() {
+    console.log('🦎 QA Iguana Agent - Performance Budget');
+    console.log('=======================================\n');
+
+    // Load sites config
+    const configPath = path.join(__dirname, '..', 'config', 'sites.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const settings = config.settings.performanceBudget || {};
+
+    const checker = new PerformanceBudget({
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config),
+      store: new StateStore({ dir: path.join(__dirname, '..', config.settings.stateDir || 'reports/state') }),
+      budget: settings.defaults,
+      regressionPercent: settings.regressionPercent,
+      regressionMinBytes: settings.regressionMinBytes
+    });
+
+    const sitesToCheck = config.sites.filter(site => site.checks && site.checks.budget);
+
+    const results = await checker.checkMultipleSites(sitesToCheck);
+    const summary = checker.generateSummary(results);
+
+    console.log('\n📊 Results:');
+    console.log('===========\n');
+
+    results.forEach(result => {
+      console.log(checker.formatResult(result));
+    });
+
+    console.log('\n📈 Summary:');
+    console.log('===========');
+    console.log(`Total sites checked: ${summary.total}`);
+    console.log(`Within budget: ${summary.withinBudget}`);
+    console.log(`Over budget: ${summary.overBudget}`);
+    console.log(`Regressed since last run: ${summary.regressed}`);
+    console.log(`Errors: ${summary.errors}`);
+    console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
+
+    return summary;
+  }
+
+  main().catch(console.error);
+}
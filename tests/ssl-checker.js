@@ -4,20 +4,55 @@
  */
 
 const https = require('https');
+const net = require('net');
+const tls = require('tls');
 const { URL } = require('url');
+const Scheduler = require('../lib/scheduler');
+
+// authorizationError codes mapped to the failure type they describe
+const AUTHORIZATION_ERROR_TYPES = {
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'self-signed',
+  SELF_SIGNED_CERT_IN_CHAIN: 'self-signed-root',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'missing-intermediate',
+  UNABLE_TO_GET_ISSUER_CERT: 'missing-intermediate',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'missing-intermediate',
+  CERT_HAS_EXPIRED: 'expired',
+  CERT_NOT_YET_VALID: 'not-yet-valid',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'hostname-mismatch'
+};
 
 class SSLChecker {
   constructor(options = {}) {
     this.warningDays = options.warningDays || 30;
     this.criticalDays = options.criticalDays || 7;
+    this.port = options.port || 443;
+    this.timeout = options.timeout || 10000;
+    this.scheduler = options.scheduler || new Scheduler();
+  }
+
+  /**
+   * Result for a check the run deadline prevented from starting
+   * @param {string} urlString - URL that was not checked
+   * @returns {object} SSL check result
+   */
+  skippedResult(urlString) {
+    return {
+      url: urlString,
+      hostname: Scheduler.hostOf(urlString),
+      valid: false,
+      skipped: true,
+      error: 'Run deadline reached before the check started',
+      status: 'error'
+    };
   }
 
   /**
    * Check SSL certificate for a single URL
    * @param {string} urlString - The URL to check
+   * @param {object} options - { port: override the port to connect to }
    * @returns {Promise<object>} SSL check result
    */
-  async checkCertificate(urlString) {
+  async checkCertificate(urlString, options = {}) {
     return new Promise((resolve) => {
       try {
         const url = new URL(urlString);
@@ -32,16 +67,19 @@ class SSLChecker {
           return;
         }
 
-        const options = {
+        const port = options.port || Number(url.port) || this.port;
+        const requestOptions = {
           hostname: url.hostname,
-          port: 443,
+          servername: net.isIP(url.hostname) ? undefined : url.hostname,
+          port,
           method: 'HEAD',
+          agent: false, // Fresh connection so the full chain is presented
           rejectUnauthorized: false, // Allow checking invalid certs
-          timeout: 10000
+          timeout: this.timeout
         };
 
-        const req = https.request(options, (res) => {
-          const cert = res.socket.getPeerCertificate();
+        const req = https.request(requestOptions, (res) => {
+          const cert = res.socket.getPeerCertificate(true);
           
           if (!cert || Object.keys(cert).length === 0) {
             resolve({
@@ -61,10 +99,26 @@ class SSLChecker {
           
           const isExpired = now > validTo;
           const isNotYetValid = now < validFrom;
-          const isValid = !isExpired && !isNotYetValid && res.socket.authorized !== false;
+          const chain = this.walkChain(cert);
+          const altNames = this.parseAltNames(cert);
+          const authorizationError = res.socket.authorized === false
+            ? String(res.socket.authorizationError || 'UNKNOWN')
+            : null;
+
+          const failures = this.collectFailures({
+            hostname: url.hostname,
+            cert,
+            chain,
+            authorizationError,
+            isExpired,
+            isNotYetValid,
+            validFrom,
+            validTo
+          });
+          const isValid = failures.length === 0;
 
           let status = 'ok';
-          if (isExpired || isNotYetValid) {
+          if (failures.length > 0) {
             status = 'critical';
           } else if (daysRemaining <= this.criticalDays) {
             status = 'critical';
@@ -72,16 +126,23 @@ class SSLChecker {
             status = 'warning';
           }
 
+          res.resume();
           resolve({
             url: urlString,
             hostname: url.hostname,
+            port,
             valid: isValid,
             issuer: cert.issuer ? cert.issuer.O : 'Unknown',
             subject: cert.subject ? cert.subject.CN : 'Unknown',
+            altNames,
             validFrom: validFrom.toISOString(),
             validTo: validTo.toISOString(),
             daysRemaining,
             isExpired,
+            authorized: authorizationError === null,
+            authorizationError,
+            chain,
+            failures,
             status,
             fingerprint: cert.fingerprint
           });
@@ -120,31 +181,197 @@ class SSLChecker {
     });
   }
 
+  /**
+   * Walk the peer certificate chain from the leaf up to the root
+   * @param {object} cert - Detailed peer certificate (getPeerCertificate(true))
+   * @returns {Array<object>} Chain entries, leaf first
+   */
+  walkChain(cert) {
+    const chain = [];
+    const seen = new Set();
+    let current = cert;
+
+    while (current && Object.keys(current).length > 0 && !seen.has(current.fingerprint256)) {
+      seen.add(current.fingerprint256);
+      const validTo = new Date(current.valid_to);
+      const selfSigned = this.isSelfSigned(current);
+
+      chain.push({
+        subject: this.describeName(current.subject),
+        issuer: this.describeName(current.issuer),
+        validFrom: new Date(current.valid_from).toISOString(),
+        validTo: validTo.toISOString(),
+        isExpired: new Date() > validTo,
+        selfSigned,
+        fingerprint: current.fingerprint
+      });
+
+      if (selfSigned) break;
+      current = current.issuerCertificate;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Check whether a certificate is its own issuer
+   * @param {object} cert - Peer certificate
+   * @returns {boolean} True for self-signed certificates
+   */
+  isSelfSigned(cert) {
+    if (cert.issuerCertificate) {
+      return cert.issuerCertificate.fingerprint256 === cert.fingerprint256;
+    }
+    return JSON.stringify(cert.subject) === JSON.stringify(cert.issuer);
+  }
+
+  /**
+   * Short display name for a certificate subject or issuer
+   * @param {object} name - Subject/issuer object
+   * @returns {string} CN, falling back to O
+   */
+  describeName(name) {
+    if (!name) return 'Unknown';
+    return name.CN || name.O || 'Unknown';
+  }
+
+  /**
+   * Extract DNS and IP entries from the subjectAltName extension
+   * @param {object} cert - Peer certificate
+   * @returns {Array<string>} SAN entries
+   */
+  parseAltNames(cert) {
+    if (!cert.subjectaltname) return [];
+    return cert.subjectaltname
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(entry => entry.startsWith('DNS:') || entry.startsWith('IP Address:'))
+      .map(entry => entry.slice(entry.indexOf(':') + 1));
+  }
+
+  /**
+   * Collect every validation failure for a certificate
+   * @param {object} context - Certificate, chain and connection details
+   * @returns {Array<object>} Failures, each with type, status and reason
+   */
+  collectFailures(context) {
+    const { hostname, cert, chain, authorizationError, isExpired, isNotYetValid, validFrom, validTo } = context;
+    const failures = [];
+    const add = (type, reason, code) => {
+      if (failures.some(f => f.type === type)) return;
+      failures.push({ type, status: 'critical', reason, code: code || null });
+    };
+
+    if (isExpired) {
+      add('expired', `Certificate expired on ${validTo.toISOString().split('T')[0]}`);
+    }
+    if (isNotYetValid) {
+      add('not-yet-valid', `Certificate not valid before ${validFrom.toISOString().split('T')[0]}`);
+    }
+
+    const identityError = tls.checkServerIdentity(hostname, cert);
+    if (identityError) {
+      const altNames = this.parseAltNames(cert);
+      add('hostname-mismatch', `Certificate does not cover ${hostname} (SAN: ${altNames.join(', ') || 'none'})`);
+    }
+
+    const leaf = chain[0];
+    const top = chain[chain.length - 1];
+    if (leaf && leaf.selfSigned) {
+      add('self-signed', `Certificate is self-signed (${leaf.subject})`);
+    } else if (top && !top.selfSigned) {
+      add('missing-intermediate', `Incomplete chain - server does not send the certificate for issuer "${top.issuer}"`);
+    }
+
+    chain.slice(1).forEach(entry => {
+      if (entry.isExpired) {
+        add('chain-expired', `Chain certificate "${entry.subject}" expired on ${entry.validTo.split('T')[0]}`);
+      }
+    });
+
+    if (authorizationError) {
+      const type = AUTHORIZATION_ERROR_TYPES[authorizationError] || 'untrusted';
+      const reasons = {
+        'self-signed': 'Certificate is self-signed',
+        'self-signed-root': `Chain ends in an untrusted self-signed root (${top ? top.subject : 'Unknown'})`,
+        'missing-intermediate': 'Incomplete chain - intermediate certificate missing',
+        'expired': 'Certificate in chain has expired',
+        'not-yet-valid': 'Certificate in chain is not yet valid',
+        'hostname-mismatch': `Certificate does not cover ${hostname}`,
+        'untrusted': `Certificate not trusted (${authorizationError})`
+      };
+      add(type, reasons[type], authorizationError);
+    }
+
+    return failures;
+  }
+
   /**
    * Check SSL certificates for multiple sites
    * @param {Array<object>} sites - Array of site objects with url property
    * @returns {Promise<Array<object>>} Array of SSL check results
    */
   async checkMultipleSites(sites) {
-    const results = [];
-    
-    for (const site of sites) {
+    return this.scheduler.map(sites, site => Scheduler.hostOf(site.url), async (site) => {
       console.log(`🔐 Checking SSL: ${site.name || site.url}`);
-      const result = await this.checkCertificate(site.url);
+      const result = await this.checkCertificate(site.url, { port: site.sslPort });
       result.siteName = site.name;
       result.siteId = site.id;
-      results.push(result);
+      return result;
+    }, site => ({ ...this.skippedResult(site.url), siteName: site.name, siteId: site.id }));
+  }
+
+  /**
+   * Check that a domain is served a certificate whose SAN list covers it
+   * @param {object} target - Domain target from lib/domains collectDomains()
+   * @returns {Promise<object>} SSL check result with SAN coverage details
+   */
+  async checkDomainCoverage(target) {
+    const result = await this.checkCertificate(`https://${target.domain}`, { port: target.port });
+
+    result.domain = target.domain;
+    result.declared = target.declared;
+    result.project = target.project;
+    result.variantOf = target.variantOf;
+    result.sanCovered = !result.error
+      && !(result.failures || []).some(f => f.type === 'hostname-mismatch');
+
+    // www/apex variants nobody declared are reported, but never as critical
+    if (!target.declared && (result.status === 'critical' || result.status === 'error')) {
+      result.status = 'warning';
     }
-    
-    return results;
+
+    return result;
+  }
+
+  /**
+   * Check SAN coverage for every declared domain and its www/apex variant
+   * @param {Array<object>} targets - Domain targets from lib/domains collectDomains()
+   * @returns {Promise<Array<object>>} Array of domain coverage results
+   */
+  async checkDomains(targets) {
+    return this.scheduler.map(targets, target => target.domain, (target) => {
+      const label = target.declared ? target.domain : `${target.domain} (variant of ${target.variantOf})`;
+      console.log(`🔐 Checking domain coverage: ${label}`);
+      return this.checkDomainCoverage(target);
+    }, target => ({
+      ...this.skippedResult(`https://${target.domain}`),
+      domain: target.domain,
+      declared: target.declared,
+      project: target.project,
+      variantOf: target.variantOf,
+      sanCovered: false,
+      status: target.declared ? 'error' : 'warning'
+    }));
   }
 
   /**
    * Generate SSL report summary
    * @param {Array<object>} results - SSL check results
+   * @param {Array<object>} domains - Domain coverage results
    * @returns {object} Summary report
    */
-  generateSummary(results) {
+  generateSummary(results, domains = []) {
     const summary = {
       total: results.length,
       valid: results.filter(r => r.valid).length,
@@ -152,10 +379,13 @@ class SSLChecker {
       expiringSoon: results.filter(r => r.status === 'warning').length,
       critical: results.filter(r => r.status === 'critical').length,
       errors: results.filter(r => r.status === 'error').length,
-      details: results
+      details: results,
+      domains,
+      uncoveredDomains: domains.filter(d => d.declared && !d.sanCovered).length
     };
 
-    summary.allHealthy = summary.invalid === 0 && summary.critical === 0 && summary.errors === 0;
+    const domainsHealthy = domains.every(d => d.status !== 'critical' && d.status !== 'error');
+    summary.allHealthy = summary.invalid === 0 && summary.critical === 0 && summary.errors === 0 && domainsHealthy;
     
     return summary;
   }
@@ -175,11 +405,13 @@ class SSLChecker {
 
     const icon = icons[result.status] || '❓';
     
+    const name = result.siteName || result.hostname;
+    
     if (result.error) {
-      return `${icon} ${result.siteName || result.hostname}: ${result.error}`;
+      return `${icon} ${name}: ${result.error}`;
     }
     
-    let message = `${icon} ${result.siteName || result.hostname}: `;
+    let message = `${icon} ${name}: `;
     
     if (result.valid) {
       message += `Valid (${result.daysRemaining} days remaining)`;
@@ -188,6 +420,10 @@ class SSLChecker {
     } else {
       message += `Invalid`;
     }
+
+    if (result.failures && result.failures.length > 0) {
+      message += ` - ${result.failures.map(f => f.reason).join('; ')}`;
+    }
     
     return message;
   }
@@ -200,6 +436,7 @@ module.exports = SSLChecker;
 if (require.main === module) {
   const fs = require('fs');
   const path = require('path');
+  const { collectDomains } = require('../lib/domains');
   
   async function main() {
     console.log('🦎 QA Iguana Agent - SSL Certificate Check');
@@ -211,14 +448,17 @@ if (require.main === module) {
     
     const checker = new SSLChecker({
       warningDays: config.settings.thresholds.sslExpiryWarning,
-      criticalDays: config.settings.thresholds.sslExpiryCritical
+      criticalDays: config.settings.thresholds.sslExpiryCritical,
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config)
     });
     
     // Filter sites that have SSL check enabled
     const sitesToCheck = config.sites.filter(site => site.checks.ssl);
     
     const results = await checker.checkMultipleSites(sitesToCheck);
-    const summary = checker.generateSummary(results);
+    const domains = await checker.checkDomains(collectDomains(config, { sites: sitesToCheck }));
+    const summary = checker.generateSummary(results, domains);
     
     console.log('\n📊 Results:');
     console.log('===========\n');
@@ -226,6 +466,9 @@ if (require.main === module) {
     results.forEach(result => {
       console.log(checker.formatResult(result));
     });
+    domains.forEach(result => {
+      console.log(checker.formatResult(result));
+    });
     
     console.log('\n📈 Summary:');
     console.log('===========');
@@ -234,6 +477,8 @@ if (require.main === module) {
     console.log(`Expiring soon (< ${checker.warningDays} days): ${summary.expiringSoon}`);
     console.log(`Critical (< ${checker.criticalDays} days): ${summary.critical}`);
     console.log(`Errors: ${summary.errors}`);
+    console.log(`Domains checked: ${domains.length}`);
+    console.log(`Declared domains not covered by SAN: ${summary.uncoveredDomains}`);
     console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
     
     // Return results for use in other scripts
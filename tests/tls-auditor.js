@@ -0,0 +1,426 @@
+/**
+ * 🦎 QA Iguana Agent - TLS Auditor
+ * Checks which TLS protocol versions and cipher suites each host accepts
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { URL } = require('url');
+const Scheduler = require('../lib/scheduler');
+
+const PROTOCOLS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+const LEGACY_PROTOCOLS = ['TLSv1', 'TLSv1.1'];
+const TLS13_CIPHERS = [
+  'TLS_AES_256_GCM_SHA384',
+  'TLS_CHACHA20_POLY1305_SHA256',
+  'TLS_AES_128_GCM_SHA256',
+  'TLS_AES_128_CCM_SHA256',
+  'TLS_AES_128_CCM_8_SHA256'
+];
+// Suites this runtime's OpenSSL build cannot offer at all, so they are never probed
+const UNPROBED_CIPHER_FAMILIES = ['RC4', 'DES', '3DES', 'NULL', 'EXPORT', 'MD5', 'anon'];
+const FORWARD_SECRECY_PATTERN = /^(ECDHE|DHE|EDH)-/i;
+const AEAD_PATTERN = /(GCM|CHACHA20|CCM)/i;
+
+class TLSAuditor {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.maxCiphersPerProtocol = options.maxCiphersPerProtocol || 40;
+    this.minRsaBits = options.minRsaBits || 2048;
+    this.minEcBits = options.minEcBits || 256;
+    this.scheduler = options.scheduler || new Scheduler();
+  }
+
+  /**
+   * Result for an audit the run deadline prevented from starting
+   * @param {string} urlString - URL that was not audited
+   * @returns {object} TLS audit result
+   */
+  skippedResult(urlString) {
+    return {
+      url: urlString,
+      hostname: Scheduler.hostOf(urlString),
+      skipped: true,
+      error: 'Run deadline reached before the check started',
+      warnings: [],
+      status: 'error'
+    };
+  }
+
+  /**
+   * Try a single TLS handshake with a fixed protocol and cipher list
+   * @param {string} hostname - Host to connect to
+   * @param {number} port - Port to connect to
+   * @param {string} protocol - Protocol version (e.g. 'TLSv1.2')
+   * @param {Array<string>} ciphers - Cipher suites to offer
+   * @returns {Promise<object>} Handshake result
+   */
+  async handshake(hostname, port, protocol, ciphers) {
+    return new Promise((resolve) => {
+      let settled = false;
+      let socket = null;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        if (socket) socket.destroy();
+        resolve(result);
+      };
+
+      // @SECLEVEL=0 lets OpenSSL negotiate TLSv1 / TLSv1.1 at all
+      const cipherList = protocol === 'TLSv1.3'
+        ? ciphers.join(':')
+        : `${ciphers.join(':')}:@SECLEVEL=0`;
+
+      try {
+        socket = tls.connect({
+          host: hostname,
+          port,
+          servername: net.isIP(hostname) ? undefined : hostname,
+          minVersion: protocol,
+          maxVersion: protocol,
+          ciphers: cipherList,
+          rejectUnauthorized: false
+        });
+      } catch (error) {
+        finish({ accepted: false, error: error.code || error.message });
+        return;
+      }
+
+      socket.setTimeout(this.timeout);
+
+      socket.on('secureConnect', () => {
+        const cipher = socket.getCipher();
+        const ephemeralKey = socket.getEphemeralKeyInfo();
+        const cert = socket.getPeerCertificate();
+        finish({
+          accepted: true,
+          protocol: socket.getProtocol(),
+          cipher: cipher ? cipher.standardName || cipher.name : null,
+          cipherName: cipher ? cipher.name : null,
+          ephemeralKey: ephemeralKey && ephemeralKey.type ? ephemeralKey : null,
+          cert
+        });
+      });
+
+      socket.on('error', (error) => {
+        finish({ accepted: false, error: error.code || error.message });
+      });
+
+      socket.on('timeout', () => {
+        finish({ accepted: false, error: 'Connection timeout' });
+      });
+    });
+  }
+
+  /**
+   * Candidate cipher suites the local OpenSSL can offer for a protocol.
+   * PSK and SRP suites are skipped since they never negotiate without a shared secret.
+   * @param {string} protocol - Protocol version
+   * @returns {Array<string>} OpenSSL cipher names
+   */
+  getCandidateCiphers(protocol) {
+    if (protocol === 'TLSv1.3') {
+      return [...TLS13_CIPHERS];
+    }
+    return tls.getCiphers()
+      .map(c => c.toUpperCase())
+      .filter(c => !c.startsWith('TLS_') && !/(PSK|SRP)/.test(c));
+  }
+
+  /**
+   * Enumerate accepted cipher suites for one protocol version by
+   * repeatedly removing the negotiated suite from the offered list
+   * @param {string} hostname - Host to audit
+   * @param {number} port - Port to connect to
+   * @param {string} protocol - Protocol version
+   * @returns {Promise<object>} Protocol result with accepted ciphers
+   */
+  async auditProtocol(hostname, port, protocol) {
+    const offered = this.getCandidateCiphers(protocol);
+    const result = {
+      protocol,
+      accepted: false,
+      ciphers: [],
+      error: null
+    };
+
+    while (offered.length > 0 && result.ciphers.length < this.maxCiphersPerProtocol) {
+      const attempt = await this.handshake(hostname, port, protocol, offered);
+
+      if (!attempt.accepted) {
+        if (!result.accepted) result.error = attempt.error;
+        break;
+      }
+
+      const index = offered.indexOf(attempt.cipherName);
+      if (index === -1 || result.ciphers.some(c => c.name === attempt.cipherName)) {
+        // The server picked something we didn't offer explicitly - stop here
+        if (!result.accepted) {
+          result.accepted = true;
+          result.ciphers.push(this.describeCipher(protocol, attempt));
+          result.cert = attempt.cert;
+        }
+        break;
+      }
+
+      result.accepted = true;
+      result.ciphers.push(this.describeCipher(protocol, attempt));
+      if (!result.cert) result.cert = attempt.cert;
+      offered.splice(index, 1);
+    }
+
+    return result;
+  }
+
+  /**
+   * Describe a negotiated cipher suite
+   * @param {string} protocol - Protocol version
+   * @param {object} attempt - Successful handshake result
+   * @returns {object} Cipher details
+   */
+  describeCipher(protocol, attempt) {
+    const name = attempt.cipherName;
+    const standardName = attempt.cipher || '';
+    const tls13 = protocol === 'TLSv1.3';
+    const forwardSecrecy = tls13 || FORWARD_SECRECY_PATTERN.test(name) || /^TLS_(ECDHE|DHE)_/.test(standardName);
+    const cbc = !tls13 && (standardName.includes('_CBC_') || !AEAD_PATTERN.test(name));
+    const sha1Mac = !tls13 && (/_SHA$/.test(standardName) || /-SHA$/i.test(name));
+    return {
+      name,
+      standardName: attempt.cipher,
+      forwardSecrecy,
+      cbc,
+      sha1Mac,
+      weak: cbc || sha1Mac || !forwardSecrecy,
+      keyExchange: attempt.ephemeralKey
+        ? `${attempt.ephemeralKey.name || attempt.ephemeralKey.type} (${attempt.ephemeralKey.size} bits)`
+        : 'RSA'
+    };
+  }
+
+  /**
+   * Describe the server's public key
+   * @param {object} cert - Peer certificate
+   * @returns {object|null} Key type and size
+   */
+  describeKey(cert) {
+    if (!cert || Object.keys(cert).length === 0) return null;
+    if (cert.asn1Curve || cert.nistCurve) {
+      return { type: 'EC', bits: cert.bits, curve: cert.nistCurve || cert.asn1Curve };
+    }
+    if (cert.modulus) {
+      return { type: 'RSA', bits: cert.bits };
+    }
+    return { type: 'Unknown', bits: cert.bits };
+  }
+
+  /**
+   * Audit TLS configuration for a single URL
+   * @param {string} urlString - The URL to audit
+   * @param {object} options - { port: override the port to connect to }
+   * @returns {Promise<object>} TLS audit result
+   */
+  async auditHost(urlString, options = {}) {
+    let url;
+    try {
+      url = new URL(urlString);
+    } catch (error) {
+      return { url: urlString, error: error.message, status: 'error' };
+    }
+
+    if (url.protocol !== 'https:') {
+      return { url: urlString, hostname: url.hostname, error: 'Not HTTPS', status: 'error' };
+    }
+
+    const port = options.port || Number(url.port) || 443;
+    const protocols = {};
+    let cert = null;
+
+    for (const protocol of PROTOCOLS) {
+      const protocolResult = await this.auditProtocol(url.hostname, port, protocol);
+      if (protocolResult.cert && !cert) cert = protocolResult.cert;
+      delete protocolResult.cert;
+      protocols[protocol] = protocolResult;
+    }
+
+    const acceptedProtocols = PROTOCOLS.filter(p => protocols[p].accepted);
+
+    if (acceptedProtocols.length === 0) {
+      return {
+        url: urlString,
+        hostname: url.hostname,
+        port,
+        protocols,
+        acceptedProtocols,
+        error: protocols['TLSv1.2'].error || 'No TLS protocol accepted',
+        warnings: [],
+        status: 'error'
+      };
+    }
+
+    const allCiphers = acceptedProtocols.flatMap(p => protocols[p].ciphers.map(c => ({ ...c, protocol: p })));
+    const key = this.describeKey(cert);
+    const forwardSecrecy = allCiphers.some(c => c.forwardSecrecy);
+    const warnings = [];
+
+    acceptedProtocols
+      .filter(p => LEGACY_PROTOCOLS.includes(p))
+      .forEach(p => warnings.push({ type: 'legacy-protocol', message: `Legacy protocol ${p} is accepted` }));
+
+    const cipherWarnings = [
+      { type: 'cbc-cipher', label: 'CBC-mode suites accepted', test: c => c.cbc },
+      { type: 'sha1-mac', label: 'Suites with a SHA-1 MAC accepted', test: c => c.sha1Mac },
+      { type: 'static-key-exchange', label: 'Suites without ECDHE/DHE key exchange accepted', test: c => !c.forwardSecrecy }
+    ];
+
+    cipherWarnings.forEach(({ type, label, test }) => {
+      acceptedProtocols.forEach(p => {
+        const names = protocols[p].ciphers.filter(test).map(c => c.name);
+        if (names.length > 0) {
+          warnings.push({ type, message: `${label} over ${p}: ${names.join(', ')}` });
+        }
+      });
+    });
+
+    if (!forwardSecrecy) {
+      warnings.push({ type: 'no-forward-secrecy', message: 'No cipher suite with forward secrecy is offered' });
+    }
+
+    if (!acceptedProtocols.includes('TLSv1.3') && !acceptedProtocols.includes('TLSv1.2')) {
+      warnings.push({ type: 'no-modern-protocol', message: 'Neither TLSv1.2 nor TLSv1.3 is accepted' });
+    }
+
+    if (key && key.type === 'RSA' && key.bits < this.minRsaBits) {
+      warnings.push({ type: 'weak-key', message: `RSA key is only ${key.bits} bits` });
+    } else if (key && key.type === 'EC' && key.bits < this.minEcBits) {
+      warnings.push({ type: 'weak-key', message: `EC key is only ${key.bits} bits` });
+    }
+
+    return {
+      url: urlString,
+      hostname: url.hostname,
+      port,
+      protocols,
+      acceptedProtocols,
+      cipherCount: allCiphers.length,
+      weakCiphers: [...new Set(allCiphers.filter(c => c.weak).map(c => c.name))],
+      forwardSecrecy,
+      key,
+      untestedCiphers: [...UNPROBED_CIPHER_FAMILIES],
+      note: `Legacy suites (${UNPROBED_CIPHER_FAMILIES.join(', ')}) cannot be probed by this runtime's OpenSSL and were not tested`,
+      warnings,
+      status: warnings.length > 0 ? 'warning' : 'ok'
+    };
+  }
+
+  /**
+   * Audit TLS configuration for multiple sites
+   * @param {Array<object>} sites - Array of site objects with url property
+   * @returns {Promise<Array<object>>} Array of TLS audit results
+   */
+  async checkMultipleSites(sites) {
+    return this.scheduler.map(sites, site => Scheduler.hostOf(site.url), async (site) => {
+      console.log(`🛡️ Auditing TLS: ${site.name || site.url}`);
+      const result = await this.auditHost(site.url, { port: site.sslPort });
+      result.siteName = site.name;
+      result.siteId = site.id;
+      return result;
+    }, site => ({ ...this.skippedResult(site.url), siteName: site.name, siteId: site.id }));
+  }
+
+  /**
+   * Generate TLS audit summary
+   * @param {Array<object>} results - TLS audit results
+   * @returns {object} Summary report
+   */
+  generateSummary(results) {
+    const summary = {
+      total: results.length,
+      hardened: results.filter(r => r.status === 'ok').length,
+      warnings: results.filter(r => r.status === 'warning').length,
+      errors: results.filter(r => r.status === 'error').length,
+      details: results
+    };
+
+    summary.allHealthy = summary.errors === 0;
+
+    return summary;
+  }
+
+  /**
+   * Format result for display
+   * @param {object} result - Single TLS audit result
+   * @returns {string} Formatted string
+   */
+  formatResult(result) {
+    const icons = {
+      ok: '✅',
+      warning: '⚠️',
+      error: '❌'
+    };
+
+    const icon = icons[result.status] || '❓';
+    const name = result.siteName || result.hostname;
+
+    if (result.error) {
+      return `${icon} ${name}: ${result.error}`;
+    }
+
+    let message = `${icon} ${name}: ${result.acceptedProtocols.join(', ')} | ${result.cipherCount} ciphers`;
+    message += ` | FS: ${result.forwardSecrecy ? 'yes' : 'no'}`;
+    if (result.key) message += ` | ${result.key.type} ${result.key.bits}`;
+    if (result.warnings.length > 0) {
+      message += ` - ${result.warnings.map(w => w.message).join('; ')}`;
+    }
+
+    return message;
+  }
+}
+
+// Export for use as module
+module.exports = TLSAuditor;
+
+// Run standalone if executed directly
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+
+  async function main() {
+    console.log('🦎 QA Iguana Agent - TLS Audit');
+    console.log('===============================\n');
+
+    // Load sites config
+    const configPath = path.join(__dirname, '..', 'config', 'sites.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    const auditor = new TLSAuditor({
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config)
+    });
+
+    // Filter sites that have SSL check enabled
+    const sitesToCheck = config.sites.filter(site => site.checks.ssl);
+
+    const results = await auditor.checkMultipleSites(sitesToCheck);
+    const summary = auditor.generateSummary(results);
+
+    console.log('\n📊 Results:');
+    console.log('===========\n');
+
+    results.forEach(result => {
+      console.log(auditor.formatResult(result));
+    });
+
+    console.log('\n📈 Summary:');
+    console.log('===========');
+    console.log(`Total hosts audited: ${summary.total}`);
+    console.log(`Hardened: ${summary.hardened}`);
+    console.log(`With warnings: ${summary.warnings}`);
+    console.log(`Errors: ${summary.errors}`);
+    console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
+
+    return summary;
+  }
+
+  main().catch(console.error);
+}
@@ -0,0 +1,519 @@
+/**
+ * 🦎 QA Iguana Agent - Transaction Runner
+ * Runs scripted multi-step HTTP flows (login, checkout...) with a shared cookie jar,
+ * carrying values extracted from earlier responses into later steps
+ */
+
+const { URL } = require('url');
+const cheerio = require('cheerio');
+const Scheduler = require('../lib/scheduler');
+const CookieJar = require('../lib/cookie-jar');
+const { buildAuthHeaders } = require('../lib/auth');
+const ApiChecker = require('./api-checker');
+const UptimeMonitor = require('./uptime-monitor');
+
+// {{name}} or {{env.NAME}}
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+class TransactionRunner {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.scheduler = options.scheduler || new Scheduler();
+    this.env = options.env || process.env;
+    this.maxRedirects = options.maxRedirects || 5;
+    // Requests and JSON assertions come from the API checker, content assertions from the uptime monitor
+    this.api = new ApiChecker({ timeout: this.timeout, env: this.env });
+    this.content = new UptimeMonitor({ timeout: this.timeout });
+  }
+
+  /**
+   * Replace {{name}} and {{env.NAME}} placeholders
+   * @param {*} value - String, or object/array containing strings
+   * @param {object} variables - Values extracted so far
+   * @returns {*} Value with placeholders filled in
+   * @throws {Error} When a placeholder has no value
+   */
+  interpolate(value, variables) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, (placeholder, name) => {
+        const resolved = name.startsWith('env.') ? this.env[name.slice(4)] : variables[name];
+        if (resolved === undefined) throw new Error(`No value for ${placeholder}`);
+        return resolved;
+      });
+    }
+    if (Array.isArray(value)) return value.map(item => this.interpolate(item, variables));
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.entries(value).forEach(([key, item]) => { result[key] = this.interpolate(item, variables); });
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Merge the jar's cookies into a request's own Cookie header (e.g. an auth session cookie).
+   * A jar cookie replaces a configured cookie of the same name, since the server set it later.
+   * @param {object} headers - Request headers
+   * @param {string} jarCookie - Cookie header built by the jar
+   * @returns {object} Headers with a single merged Cookie header
+   */
+  withCookies(headers, jarCookie) {
+    const result = { ...headers };
+    const existingName = Object.keys(result).find(name => name.toLowerCase() === 'cookie');
+    const existing = existingName ? result[existingName] : '';
+    if (existingName) delete result[existingName];
+
+    const cookies = new Map();
+    [existing, jarCookie].forEach(header => {
+      (header || '').split(';').map(part => part.trim()).filter(Boolean).forEach(pair => {
+        const separator = pair.indexOf('=');
+        cookies.set(separator === -1 ? pair : pair.slice(0, separator), pair);
+      });
+    });
+
+    if (cookies.size > 0) result['Cookie'] = [...cookies.values()].join('; ');
+    return result;
+  }
+
+  /**
+   * Send a step's request, following redirects and keeping cookies at every hop
+   * @param {string} urlString - Step URL
+   * @param {object} request - { method, body, headers }
+   * @param {CookieJar} jar - Cookie jar of the transaction
+   * @param {boolean} followRedirects - Follow 3xx responses
+   * @returns {Promise<object>} { url, statusCode, headers, body, responseTime, error }
+   */
+  async send(urlString, request, jar, followRedirects) {
+    let url = urlString;
+    let current = request;
+    let responseTime = 0;
+
+    for (let hop = 0; ; hop++) {
+      const headers = this.withCookies(current.headers, jar.header(url));
+
+      const response = await this.api.request(url, current, headers);
+      responseTime += response.responseTime;
+      if (response.error) return { url, ...response, responseTime };
+
+      jar.store(response.headers['set-cookie'], url);
+
+      const location = response.headers['location'];
+      if (!followRedirects || !location || response.statusCode < 300 || response.statusCode >= 400) {
+        return { url, ...response, responseTime };
+      }
+      if (hop >= this.maxRedirects) {
+        return { url, ...response, responseTime, error: `More than ${this.maxRedirects} redirects` };
+      }
+
+      let next;
+      try {
+        next = new URL(location, url);
+      } catch (error) {
+        return { url, ...response, responseTime, error: 'Invalid redirect location' };
+      }
+      // Like a browser: 303 (and 301/302 after a POST) continue as GET without the body
+      const keepMethod = response.statusCode === 307 || response.statusCode === 308;
+      current = keepMethod ? current : { method: 'GET', headers: current.headers };
+      // Never send credentials on to another host
+      if (next.host !== new URL(url).host) {
+        const rest = { ...current.headers };
+        Object.keys(rest)
+          .filter(name => /^(authorization|cookie)$/i.test(name))
+          .forEach(name => delete rest[name]);
+        current = { ...current, headers: rest };
+      }
+      url = next.toString();
+    }
+  }
+
+  /**
+   * Build the request of a step
+   * @param {object} step - Step config (placeholders already filled in)
+   * @returns {object} { request: { method, body, headers }, error }
+   */
+  buildRequest(step) {
+    const { headers: authHeaders, error } = buildAuthHeaders(step.auth, this.env);
+    const headers = {
+      'User-Agent': 'QA-Iguana-Agent/1.0',
+      'Accept': 'text/html,application/json;q=0.9,*/*;q=0.8',
+      ...(step.headers || {}),
+      ...authHeaders
+    };
+    let body = step.body;
+
+    if (step.form) {
+      body = new URLSearchParams(step.form).toString();
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+
+    return {
+      request: { method: (step.method || (body !== undefined ? 'POST' : 'GET')).toUpperCase(), body, headers },
+      error
+    };
+  }
+
+  /**
+   * Evaluate a step's expectations against its response
+   * @param {object} expect - { status, maxResponseTime, json, schema, and any page content assertion }
+   * @param {object} response - Step response
+   * @returns {Array<object>} Failures: { assertion, expected, actual, message }
+   */
+  evaluateStep(expect, response) {
+    const failures = [];
+
+    const expectedStatus = [].concat(expect.status !== undefined ? expect.status : [200]);
+    if (!expectedStatus.includes(response.statusCode)) {
+      failures.push({
+        assertion: 'status',
+        expected: expectedStatus.join('|'),
+        actual: response.statusCode,
+        message: `Status ${response.statusCode}, expected ${expectedStatus.join(' or ')}`
+      });
+    }
+
+    if (expect.maxResponseTime !== undefined && response.responseTime > expect.maxResponseTime) {
+      failures.push({
+        assertion: 'maxResponseTime',
+        expected: expect.maxResponseTime,
+        actual: response.responseTime,
+        message: `Took ${response.responseTime}ms, expected at most ${expect.maxResponseTime}ms`
+      });
+    }
+
+    failures.push(...this.content.evaluateAssertions(expect, {
+      body: response.body,
+      size: Buffer.byteLength(response.body),
+      headers: response.headers
+    }));
+
+    if (expect.schema || (expect.json && expect.json.length > 0)) {
+      let data;
+      try {
+        data = JSON.parse(response.body);
+      } catch (error) {
+        failures.push({ assertion: 'json', expected: 'JSON body', actual: undefined, message: `Body is not JSON: ${response.body.slice(0, 80)}` });
+      }
+      if (data !== undefined) {
+        if (expect.schema) {
+          this.api.validateSchema(data, expect.schema).forEach(e => {
+            failures.push({ assertion: 'schema', expected: 'schema', actual: e.actual, message: e.message });
+          });
+        }
+        [].concat(expect.json || []).forEach(expression => {
+          const failure = this.api.evaluateJsonAssertion(data, expression);
+          if (failure) failures.push(failure);
+        });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Extract one value from a step response
+   * @param {object} rule - { regex, group } | { json } | { header } | { cookie } | { css, attr }
+   * @param {object} response - Step response
+   * @param {CookieJar} jar - Cookie jar of the transaction
+   * @returns {string|undefined} Extracted value
+   */
+  extractValue(rule, response, jar) {
+    if (rule.regex) {
+      const match = this.content.toRegExp(rule.regex).exec(response.body);
+      return match ? match[rule.group !== undefined ? rule.group : 1] : undefined;
+    }
+    if (rule.json) {
+      try {
+        const resolved = this.api.resolvePath(JSON.parse(response.body), rule.json);
+        return resolved.found ? resolved.value : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    }
+    if (rule.header) {
+      return response.headers[rule.header.toLowerCase()];
+    }
+    if (rule.cookie) {
+      return jar.get(rule.cookie);
+    }
+    if (rule.css) {
+      const element = cheerio.load(response.body)(rule.css).first();
+      if (element.length === 0) return undefined;
+      return rule.attr ? element.attr(rule.attr) : element.text().trim();
+    }
+    return undefined;
+  }
+
+  /**
+   * Run a single step
+   * @param {object} site - Site configuration
+   * @param {object} stepConfig - Step config from the transaction
+   * @param {object} variables - Values extracted so far (extended in place)
+   * @param {CookieJar} jar - Cookie jar of the transaction
+   * @returns {Promise<object>} Step result
+   */
+  async runStep(site, stepConfig, variables, jar) {
+    const method = (stepConfig.method || 'GET').toUpperCase();
+    const result = {
+      name: stepConfig.name || `${method} ${stepConfig.path || stepConfig.url}`,
+      method,
+      url: stepConfig.url || stepConfig.path,
+      failures: [],
+      extracted: [],
+      status: 'ok'
+    };
+
+    let step;
+    try {
+      step = this.interpolate(stepConfig, variables);
+    } catch (error) {
+      result.error = error.message;
+      result.status = 'error';
+      return result;
+    }
+
+    const { url, error: urlError } = this.api.resolveUrl(site, step);
+    if (urlError) {
+      result.error = urlError;
+      result.status = 'error';
+      return result;
+    }
+
+    const { request, error: authError } = this.buildRequest(step);
+    result.url = url;
+    result.method = request.method;
+
+    if (authError) {
+      result.error = authError;
+      result.status = 'error';
+      return result;
+    }
+
+    const response = await this.send(url, request, jar, step.followRedirects !== false);
+    result.statusCode = response.statusCode;
+    result.responseTime = response.responseTime;
+    if (response.url !== url) result.finalUrl = response.url;
+
+    if (response.error) {
+      result.error = response.error;
+      result.status = 'error';
+      return result;
+    }
+
+    try {
+      result.failures = this.evaluateStep(step.expect || {}, response);
+
+      // Only the names are reported; extracted values may be tokens
+      Object.entries(step.extract || {}).forEach(([name, rule]) => {
+        const value = this.extractValue(rule, response, jar);
+        if (value === undefined || value === null) {
+          result.failures.push({ assertion: 'extract', expected: name, actual: undefined, message: `Could not extract "${name}"` });
+        } else {
+          variables[name] = String(value);
+          result.extracted.push(name);
+        }
+      });
+    } catch (error) {
+      // A bad pattern in the step config (e.g. an invalid regex)
+      result.error = `Invalid step config: ${error.message}`;
+      result.status = 'error';
+      return result;
+    }
+
+    if (result.failures.length > 0) result.status = 'failed';
+
+    return result;
+  }
+
+  /**
+   * Run a transaction: steps in order, stopping at the first one that fails
+   * @param {object} site - Site configuration
+   * @param {object} transaction - { name, steps }
+   * @returns {Promise<object>} Transaction result
+   */
+  async runTransaction(site, transaction) {
+    const jar = new CookieJar();
+    const variables = {};
+    const steps = [];
+    let failedStep = null;
+
+    for (const stepConfig of transaction.steps || []) {
+      if (failedStep) {
+        steps.push({
+          name: stepConfig.name || `${(stepConfig.method || 'GET').toUpperCase()} ${stepConfig.path || stepConfig.url}`,
+          method: (stepConfig.method || 'GET').toUpperCase(),
+          url: stepConfig.url || stepConfig.path,
+          failures: [],
+          extracted: [],
+          status: 'skipped'
+        });
+        continue;
+      }
+
+      const step = await this.runStep(site, stepConfig, variables, jar);
+      steps.push(step);
+      if (step.status !== 'ok') failedStep = step;
+    }
+
+    return {
+      name: transaction.name,
+      steps,
+      failedStep: failedStep ? failedStep.name : null,
+      failedStepIndex: failedStep ? steps.indexOf(failedStep) : null,
+      status: failedStep ? failedStep.status : 'ok',
+      totalTime: steps.reduce((total, s) => total + (s.responseTime || 0), 0),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run every configured transaction for a site
+   * @param {object} site - Site configuration with transactions
+   * @returns {Promise<object>} Site transaction results
+   */
+  async checkSite(site) {
+    // A transaction is one scheduled unit: its steps depend on each other
+    const transactions = await this.scheduler.map(site.transactions || [],
+      () => Scheduler.hostOf(site.url),
+      (transaction) => {
+        console.log(`  🧭 ${transaction.name} (${(transaction.steps || []).length} steps)`);
+        return this.runTransaction(site, transaction);
+      },
+      transaction => ({
+        name: transaction.name,
+        steps: [],
+        failedStep: null,
+        failedStepIndex: null,
+        skipped: true,
+        error: 'Run deadline reached before the transaction started',
+        status: 'error',
+        totalTime: 0
+      }));
+
+    const statuses = transactions.map(t => t.status);
+    let status = 'ok';
+    if (statuses.includes('failed')) {
+      status = 'failed';
+    } else if (statuses.includes('error')) {
+      status = 'error';
+    }
+
+    return {
+      siteId: site.id,
+      siteName: site.name,
+      baseUrl: site.url,
+      transactions,
+      status,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run transactions for multiple sites
+   * @param {Array<object>} sites - Sites with transactions
+   * @returns {Promise<Array<object>>} Array of site transaction results
+   */
+  async checkMultipleSites(sites) {
+    // Transactions are the scheduled unit, so sites themselves all start at once
+    return Promise.all(sites.map(site => {
+      console.log(`🧭 Running transactions: ${site.name}`);
+      return this.checkSite(site);
+    }));
+  }
+
+  /**
+   * Generate transaction summary
+   * @param {Array<object>} results - Site transaction results
+   * @returns {object} Summary report
+   */
+  generateSummary(results) {
+    const transactions = results.flatMap(r => r.transactions);
+    const summary = {
+      total: transactions.length,
+      passed: transactions.filter(t => t.status === 'ok').length,
+      failed: transactions.filter(t => t.status === 'failed').length,
+      errors: transactions.filter(t => t.status === 'error').length,
+      details: results
+    };
+
+    summary.allHealthy = summary.failed === 0 && summary.errors === 0;
+
+    return summary;
+  }
+
+  /**
+   * Format result for display
+   * @param {object} result - Site transaction result
+   * @returns {string} Formatted string
+   */
+  formatResult(result) {
+    const icons = {
+      ok: '✅',
+      failed: '🔴',
+      error: '❌',
+      skipped: '⏭️'
+    };
+
+    const lines = [`${icons[result.status] || '❓'} ${result.siteName}: ${result.transactions.length} transaction(s)`];
+    result.transactions.forEach(transaction => {
+      lines.push(`  ${icons[transaction.status] || '❓'} ${transaction.name}: ${transaction.error || `${transaction.totalTime}ms`}`);
+      transaction.steps.forEach((step, index) => {
+        const detail = step.status === 'skipped'
+          ? 'skipped'
+          : (step.error || `HTTP ${step.statusCode} in ${step.responseTime}ms`);
+        lines.push(`      ${index + 1}. ${icons[step.status] || '❓'} ${step.name}: ${detail}`);
+        step.failures.forEach(f => lines.push(`         ✗ [${f.assertion}] ${f.message}`));
+      });
+    });
+
+    return lines.join('\n');
+  }
+}
+
+// Export for use as module
+module.exports = TransactionRunner;
+
+// Run standalone if executed directly
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+
+  async function main() {
+    console.log('🦎 QA Iguana Agent - Transaction Check');
+    console.log('======================================\n');
+
+    // Load sites config
+    const configPath = path.join(__dirname, '..', 'config', 'sites.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    const runner = new TransactionRunner({
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config),
+      maxRedirects: (config.settings.redirects || {}).maxRedirects
+    });
+
+    // Filter sites that have transactions enabled
+    const sitesToCheck = config.sites.filter(site => site.checks.transactions && (site.transactions || []).length > 0);
+
+    const results = await runner.checkMultipleSites(sitesToCheck);
+    const summary = runner.generateSummary(results);
+
+    console.log('\n📊 Results:');
+    console.log('===========\n');
+
+    results.forEach(result => {
+      console.log(runner.formatResult(result));
+    });
+
+    console.log('\n📈 Summary:');
+    console.log('===========');
+    console.log(`Total transactions: ${summary.total}`);
+    console.log(`Passed: ${summary.passed}`);
+    console.log(`Failed: ${summary.failed}`);
+    console.log(`Errors: ${summary.errors}`);
+    console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
+
+    return summary;
+  }
+
+  main().catch(console.error);
+}
@@ -6,22 +6,287 @@
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const { performance } = require('perf_hooks');
+const { getWwwVariant } = require('../lib/domains');
+const Scheduler = require('../lib/scheduler');
+const { ACCEPT_ENCODING, decodeBody, getCompression } = require('../lib/http-body');
+const { buildAuthHeaders } = require('../lib/auth');
+
+// Request phases, in order, with their default warning thresholds (ms)
+const PHASES = {
+  dns: 300,
+  connect: 500,
+  tls: 800,
+  ttfb: 1500,
+  download: 2000
+};
+
+// Response time statistics the thresholds can be applied to
+const STATISTICS = ['min', 'median', 'p95', 'max'];
+
+// Where a protected page may send anonymous visitors, unless the page sets loginUrlPattern
+const LOGIN_URL_PATTERN = '/(log-?in|sign-?in|auth)/i';
 
 class UptimeMonitor {
   constructor(options = {}) {
     this.timeout = options.timeout || 10000;
     this.warningThreshold = options.warningThreshold || 2000;
     this.criticalThreshold = options.criticalThreshold || 5000;
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.retryBackoff = options.retryBackoff || 1000;
+    this.backoffFactor = options.backoffFactor || 2;
+    this.freshConnectionOnRetry = options.freshConnectionOnRetry !== false;
+    this.followRedirects = options.followRedirects !== false;
+    this.maxRedirects = options.maxRedirects || 5;
+    this.scheduler = options.scheduler || new Scheduler();
+    this.samples = options.samples || 1;
+    this.samplingMode = options.samplingMode === 'cold' ? 'cold' : 'warm';
+    this.statistic = STATISTICS.includes(options.statistic) ? options.statistic : 'median';
+    this.env = options.env || process.env;
+    const phaseThresholds = options.phaseThresholds || {};
+    this.phaseThresholds = {};
+    Object.keys(PHASES).forEach(phase => {
+      this.phaseThresholds[phase] = phaseThresholds[phase] || PHASES[phase];
+    });
+  }
+
+  /**
+   * Turn the raw phase marks of a request into durations
+   * @param {object} marks - performance.now() marks: start, socket, lookup, connect, secureConnect, response, end
+   * @returns {object} Timings in ms; dns/connect/tls are null on a reused connection
+   */
+  buildTimings(marks) {
+    const span = (from, to) => (from !== undefined && to !== undefined)
+      ? Math.round(to - from)
+      : null;
+    // Each phase starts where the previous one that happened ended
+    const connectStart = marks.lookup !== undefined ? marks.lookup : marks.socket;
+    const requestSent = marks.secureConnect !== undefined
+      ? marks.secureConnect
+      : (marks.connect !== undefined ? marks.connect : marks.socket);
+
+    return {
+      dns: span(marks.socket, marks.lookup),
+      connect: span(connectStart, marks.connect),
+      tls: span(marks.connect, marks.secureConnect),
+      ttfb: span(requestSent, marks.response),
+      download: span(marks.response, marks.end),
+      total: span(marks.start, marks.end !== undefined ? marks.end : marks.response),
+      reusedConnection: !!marks.reused
+    };
   }
 
   /**
-   * Check if a URL is up and measure response time
+   * Find the phases that went over their warning thresholds
+   * @param {object} timings - Timings from buildTimings
+   * @returns {Array<string>} Slow phase names
+   */
+  findSlowPhases(timings) {
+    return Object.keys(PHASES).filter(phase =>
+      timings[phase] !== null && timings[phase] >= this.phaseThresholds[phase]);
+  }
+
+  /**
+   * Format a timing breakdown for display
+   * @param {object} timings - Timings from buildTimings
+   * @returns {string} Formatted string, e.g. "DNS 12ms | TCP 30ms | TLS 45ms | TTFB 310ms | Download 20ms"
+   */
+  formatTimings(timings) {
+    if (!timings) return '';
+    const labels = { dns: 'DNS', connect: 'TCP', tls: 'TLS', ttfb: 'TTFB', download: 'Download' };
+    const parts = Object.keys(labels)
+      .filter(phase => timings[phase] !== null)
+      .map(phase => `${labels[phase]} ${this.formatResponseTime(timings[phase])}`);
+    if (timings.reusedConnection) parts.push('reused connection');
+    return parts.join(' | ');
+  }
+
+  /**
+   * Build a RegExp from a config string; "/pattern/flags" keeps its flags
+   * @param {string} pattern - Pattern string
+   * @returns {RegExp} Regular expression
+   */
+  toRegExp(pattern) {
+    const literal = /^\/(.+)\/([dgimsuy]*)$/.exec(pattern);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+  }
+
+  /**
+   * Evaluate a page's content assertions against its response
+   * @param {object} assertions - { contains, matches, notContains, title, minSize, contentType, headers }
+   * @param {object} response - { body, size, headers }
+   * @returns {Array<object>} Failed assertions: { assertion, expected, actual, message }
+   */
+  evaluateAssertions(assertions, response) {
+    const failures = [];
+    const fail = (assertion, expected, actual, message) =>
+      failures.push({ assertion, expected, actual, message });
+    const list = value => [].concat(value || []);
+
+    list(assertions.contains).forEach(text => {
+      if (!response.body.includes(text)) {
+        fail('contains', text, null, `Missing required text "${text}"`);
+      }
+    });
+
+    list(assertions.matches).forEach(pattern => {
+      try {
+        if (!this.toRegExp(pattern).test(response.body)) {
+          fail('matches', pattern, null, `Body does not match ${pattern}`);
+        }
+      } catch (error) {
+        fail('matches', pattern, null, `Invalid pattern ${pattern}: ${error.message}`);
+      }
+    });
+
+    list(assertions.notContains).forEach(text => {
+      if (response.body.includes(text)) {
+        fail('notContains', text, text, `Forbidden text found: "${text}"`);
+      }
+    });
+
+    if (assertions.title !== undefined) {
+      const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(response.body);
+      const title = match ? match[1].replace(/\s+/g, ' ').trim() : null;
+      if (title !== assertions.title) {
+        fail('title', assertions.title, title, `Title is "${title === null ? '(none)' : title}", expected "${assertions.title}"`);
+      }
+    }
+
+    if (assertions.minSize !== undefined && response.size < assertions.minSize) {
+      fail('minSize', assertions.minSize, response.size,
+        `Body is ${response.size} bytes, expected at least ${assertions.minSize}`);
+    }
+
+    if (assertions.contentType !== undefined) {
+      const contentType = response.headers['content-type'] || '';
+      if (!contentType.toLowerCase().includes(assertions.contentType.toLowerCase())) {
+        fail('contentType', assertions.contentType, contentType || null,
+          `Content-Type is "${contentType || '(none)'}", expected "${assertions.contentType}"`);
+      }
+    }
+
+    // Header values match by substring; true only requires the header to be present
+    Object.entries(assertions.headers || {}).forEach(([name, expected]) => {
+      const actual = response.headers[name.toLowerCase()];
+      const value = Array.isArray(actual) ? actual.join(', ') : actual;
+      if (value === undefined) {
+        fail('header', `${name}: ${expected}`, null, `Missing header ${name}`);
+      } else if (expected !== true && !value.toLowerCase().includes(String(expected).toLowerCase())) {
+        fail('header', `${name}: ${expected}`, value, `Header ${name} is "${value}", expected "${expected}"`);
+      }
+    });
+
+    return failures;
+  }
+
+  /**
+   * Grade a response by its response time and phase timings
+   * @param {boolean} isUp - Whether the response counts as up
+   * @param {number} responseTime - Response time in ms
+   * @param {Array<string>} slowPhases - Phases over their threshold
+   * @returns {string} ok | warning | critical | down
+   */
+  classify(isUp, responseTime, slowPhases) {
+    if (!isUp) return 'down';
+    if (responseTime >= this.criticalThreshold) return 'critical';
+    if (responseTime >= this.warningThreshold || slowPhases.length > 0) return 'warning';
+    return 'ok';
+  }
+
+  /**
+   * Result for a page the run deadline prevented from being checked
+   * @param {string} urlString - URL that was not checked
+   * @returns {object} Uptime check result
+   */
+  skippedResult(urlString) {
+    return {
+      url: urlString,
+      hostname: Scheduler.hostOf(urlString),
+      isUp: false,
+      skipped: true,
+      error: 'Run deadline reached before the check started',
+      status: 'error',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check if a URL is up and measure response time, following redirects
    * @param {string} urlString - The URL to check
-   * @returns {Promise<object>} Uptime check result
+   * @param {object} requestOptions - { freshConnection: bypass the keep-alive agent, assertions: content assertions, headers: extra request headers }
+   * @returns {Promise<object>} Uptime check result with finalUrl and redirectChain
+   */
+  async checkSite(urlString, requestOptions = {}) {
+    const redirectChain = [];
+    const visited = new Set([urlString]);
+    let result = await this.fetchOnce(urlString, requestOptions);
+    let redirectError = null;
+
+    while (result.location) {
+      let next;
+      try {
+        next = new URL(result.location, result.url).toString();
+      } catch (error) {
+        redirectError = { type: 'invalid-location', message: `Invalid redirect location: ${result.location}` };
+        break;
+      }
+      redirectChain.push({
+        url: result.url,
+        statusCode: result.statusCode,
+        location: next,
+        responseTime: result.responseTime,
+        timings: result.timings
+      });
+
+      if (visited.has(next)) {
+        redirectError = { type: 'redirect-loop', message: `Redirect loop: ${next} was already visited` };
+        break;
+      }
+      if (redirectChain.length > this.maxRedirects) {
+        redirectError = { type: 'too-many-redirects', message: `More than ${this.maxRedirects} redirects` };
+        break;
+      }
+
+      visited.add(next);
+      // Never send credentials on to another host
+      if (requestOptions.headers && new URL(next).host !== new URL(result.url).host) {
+        requestOptions = { ...requestOptions, headers: undefined };
+      }
+      result = await this.fetchOnce(next, requestOptions);
+    }
+
+    result.finalUrl = redirectChain.length > 0 && !redirectError ? result.url : urlString;
+    result.url = urlString;
+    result.redirectChain = redirectChain;
+    delete result.location;
+
+    if (redirectError) {
+      result.isUp = false;
+      result.status = 'down';
+      result.error = redirectError.message;
+      result.redirectError = redirectError.type;
+      result.finalUrl = null;
+    } else if (redirectChain.length > 0 && result.responseTime !== undefined) {
+      // The visitor waits for every hop, so grade the whole chain
+      result.responseTime += redirectChain.reduce((total, hop) => total + hop.responseTime, 0);
+      result.responseTimeFormatted = this.formatResponseTime(result.responseTime);
+      if (result.isUp) result.status = this.classify(true, result.responseTime, result.slowPhases || []);
+    }
+
+    return result;
+  }
+
+  /**
+   * Make a single request without following redirects
+   * @param {string} urlString - The URL to request
+   * @param {object} requestOptions - { freshConnection, assertions, headers }
+   * @returns {Promise<object>} Response result; location is set on a redirect
    */
-  async checkSite(urlString) {
+  async fetchOnce(urlString, requestOptions = {}) {
     return new Promise((resolve) => {
       const startTime = Date.now();
+      const marks = { start: performance.now() };
       
       try {
         const url = new URL(urlString);
@@ -34,47 +299,85 @@ class UptimeMonitor {
           method: 'GET',
           timeout: this.timeout,
           headers: {
-            'User-Agent': 'QA-Iguana-Agent/1.0'
+            'User-Agent': 'QA-Iguana-Agent/1.0',
+            'Accept-Encoding': ACCEPT_ENCODING,
+            ...(requestOptions.headers || {})
           }
         };
 
+        if (requestOptions.freshConnection) {
+          options.agent = false;
+        }
+
         const req = protocol.request(options, (res) => {
           const responseTime = Date.now() - startTime;
+          marks.response = performance.now();
           
           // Read body to complete the request
-          let body = '';
-          res.on('data', chunk => body += chunk);
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
           res.on('end', () => {
-            const isUp = res.statusCode >= 200 && res.statusCode < 400;
-            
-            let status = 'ok';
-            if (!isUp) {
-              status = 'down';
-            } else if (responseTime >= this.criticalThreshold) {
-              status = 'critical';
-            } else if (responseTime >= this.warningThreshold) {
-              status = 'warning';
-            }
-
-            resolve({
+            marks.end = performance.now();
+            const raw = Buffer.concat(chunks);
+            const buffer = decodeBody(raw, res.headers['content-encoding']);
+            const body = buffer.toString('utf8');
+            const timings = this.buildTimings(marks);
+            const slowPhases = this.findSlowPhases(timings);
+            const location = this.followRedirects && res.statusCode >= 300 && res.statusCode < 400
+              ? res.headers['location']
+              : undefined;
+            // Content assertions only apply to the page the chain ends on
+            const failedAssertions = requestOptions.assertions && !location
+              ? this.evaluateAssertions(requestOptions.assertions, { body, size: buffer.length, headers: res.headers })
+              : [];
+            const isUp = res.statusCode >= 200 && res.statusCode < 400 && failedAssertions.length === 0;
+            const status = this.classify(isUp, responseTime, slowPhases);
+
+            const result = {
               url: urlString,
               hostname: url.hostname,
               isUp,
               statusCode: res.statusCode,
               statusMessage: res.statusMessage,
+              location,
               responseTime,
               responseTimeFormatted: this.formatResponseTime(responseTime),
+              timings,
+              slowPhases,
               status,
-              contentLength: body.length,
+              contentLength: buffer.length,
+              transferSize: raw.length,
+              compression: getCompression(res.headers['content-encoding']),
+              failedAssertions,
+              error: failedAssertions.length > 0
+                ? `Assertion failed: ${failedAssertions.map(f => f.message).join('; ')}`
+                : undefined,
               headers: {
                 server: res.headers['server'],
-                contentType: res.headers['content-type']
+                contentType: res.headers['content-type'],
+                location: res.headers['location']
               },
               timestamp: new Date().toISOString()
-            });
+            };
+
+            // Kept for the performance budget check, but out of the JSON report
+            Object.defineProperty(result, 'body', { value: body });
+            resolve(result);
           });
         });
 
+        // A kept-alive socket is already connected, so only TTFB and download apply
+        req.on('socket', (socket) => {
+          marks.socket = performance.now();
+          if (!socket.connecting) {
+            marks.reused = true;
+            return;
+          }
+          socket.once('lookup', () => { marks.lookup = performance.now(); });
+          socket.once('connect', () => { marks.connect = performance.now(); });
+          socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+        });
+
         req.on('error', (error) => {
           const responseTime = Date.now() - startTime;
           resolve({
@@ -84,6 +387,7 @@ class UptimeMonitor {
             error: error.message,
             errorCode: error.code,
             responseTime,
+            timings: this.buildTimings(marks),
             status: 'down',
             timestamp: new Date().toISOString()
           });
@@ -98,6 +402,7 @@ class UptimeMonitor {
             isUp: false,
             error: 'Connection timeout',
             responseTime,
+            timings: this.buildTimings(marks),
             status: 'down',
             timestamp: new Date().toISOString()
           });
@@ -116,6 +421,287 @@ class UptimeMonitor {
     });
   }
 
+  /**
+   * Check a URL, retrying with backoff before confirming it is down
+   * @param {string} urlString - The URL to check
+   * @param {object} assertions - Content assertions for the page
+   * @param {object} headers - Extra request headers (e.g. credentials)
+   * @param {object} options - { accept: result → true for an expected answer that is not "up", e.g. a 401 }
+   * @returns {Promise<object>} Uptime check result with every attempt recorded
+   */
+  async checkSiteConfirmed(urlString, assertions, headers, options = {}) {
+    const attempts = [];
+    const accepted = (checked) => Boolean(options.accept && options.accept(checked));
+    let result = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryBackoff * Math.pow(this.backoffFactor, attempt - 1);
+        console.log(`    🔁 Retry ${attempt}/${this.retries} in ${delay}ms: ${urlString}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      const freshConnection = this.samplingMode === 'cold' || (attempt > 0 && this.freshConnectionOnRetry);
+      result = await this.checkSite(urlString, { freshConnection, assertions, headers });
+
+      attempts.push({
+        attempt: attempt + 1,
+        status: result.status,
+        statusCode: result.statusCode,
+        error: result.error,
+        responseTime: result.responseTime,
+        freshConnection,
+        timestamp: result.timestamp
+      });
+
+      if ((result.status !== 'down' && result.status !== 'error') || accepted(result)) break;
+    }
+
+    const failed = (result.status === 'down' || result.status === 'error') && !accepted(result);
+    result.attempts = attempts;
+    result.recoveredAfterRetry = !failed && attempts.length > 1;
+    result.confirmedDown = failed;
+
+    if (result.isUp && this.samples > 1) {
+      await this.addSamples(result, urlString, assertions, headers);
+    }
+
+    return result;
+  }
+
+  /**
+   * Take the remaining samples for a page that is up and grade it by the
+   * configured statistic instead of a single response time
+   * @param {object} result - Confirmed result (its response time is the first sample)
+   * @param {string} urlString - The URL to sample
+   * @param {object} assertions - Content assertions for the page
+   * @param {object} headers - Extra request headers (e.g. credentials)
+   */
+  async addSamples(result, urlString, assertions, headers) {
+    const samples = [result.responseTime];
+    let failedSamples = 0;
+    const freshConnection = this.samplingMode === 'cold';
+
+    for (let i = 1; i < this.samples; i++) {
+      const sample = await this.checkSite(urlString, { freshConnection, assertions, headers });
+      if (sample.isUp) {
+        samples.push(sample.responseTime);
+      } else {
+        failedSamples++;
+      }
+    }
+
+    const stats = this.computeStats(samples);
+    result.responseStats = {
+      ...stats,
+      mode: this.samplingMode,
+      statistic: this.statistic,
+      samples,
+      failedSamples
+    };
+    result.responseTime = stats[this.statistic];
+    result.responseTimeFormatted = this.formatResponseTime(result.responseTime);
+    result.status = this.classify(true, result.responseTime, result.slowPhases || []);
+  }
+
+  /**
+   * Compute min / median / p95 / max of response time samples
+   * @param {Array<number>} samples - Response times in ms
+   * @returns {object} { min, median, p95, max }
+   */
+  computeStats(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0
+      ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+      : sorted[middle];
+    // Nearest-rank percentile
+    const p95 = sorted[Math.ceil(0.95 * sorted.length) - 1];
+
+    return {
+      min: sorted[0],
+      median,
+      p95,
+      max: sorted[sorted.length - 1]
+    };
+  }
+
+  /**
+   * Check a page that must require auth: without credentials it has to answer
+   * 401/403 or redirect to login, and with the configured credentials it has to load
+   * @param {object} page - { url, assertions, auth: { expectStatus, loginUrlPattern, credentials, assertions } }
+   * @returns {Promise<object>} Uptime check result with authCheck: { anonymous, credentialed, violations }
+   */
+  async checkProtectedPage(page) {
+    const auth = page.auth;
+    const expectStatus = [].concat(auth.expectStatus || [401, 403]);
+    const loginPattern = this.toRegExp(auth.loginUrlPattern || LOGIN_URL_PATTERN);
+    const violations = [];
+
+    // "Auth required" is the answer we want here; only other failures are retried before being reported
+    const anonymous = await this.checkSiteConfirmed(page.url, undefined, undefined, {
+      accept: checked => ['auth-required', 'login-redirect'].includes(this.classifyAuthResponse(checked, expectStatus, loginPattern))
+    });
+    const anonymousOutcome = this.classifyAuthResponse(anonymous, expectStatus, loginPattern);
+    if (anonymousOutcome === 'auth-required' || anonymousOutcome === 'login-redirect') {
+      this.markAuthExpected(anonymous);
+    } else if (anonymousOutcome === 'allowed') {
+      violations.push({
+        type: 'exposed',
+        message: `Reachable without credentials (HTTP ${anonymous.statusCode} at ${anonymous.finalUrl || page.url})`
+      });
+    } else if (anonymousOutcome === 'unexpected') {
+      violations.push({
+        type: 'unexpected-status',
+        message: `Expected HTTP ${expectStatus.join('/')} or a login redirect without credentials, got HTTP ${anonymous.statusCode}`
+      });
+    }
+
+    const authCheck = {
+      anonymous: { statusCode: anonymous.statusCode, finalUrl: anonymous.finalUrl, outcome: anonymousOutcome },
+      credentialed: null,
+      violations
+    };
+    let result = anonymous;
+
+    if (auth.credentials) {
+      const { headers, error } = buildAuthHeaders(auth.credentials, this.env);
+      if (error) {
+        authCheck.credentialed = { type: auth.credentials.type, skipped: true, error };
+      } else {
+        result = await this.checkSiteConfirmed(page.url, auth.assertions || page.assertions, headers);
+        const outcome = this.classifyAuthResponse(result, expectStatus, loginPattern);
+        authCheck.credentialed = { type: auth.credentials.type, statusCode: result.statusCode, finalUrl: result.finalUrl, outcome };
+        if (outcome === 'auth-required' || outcome === 'login-redirect') {
+          // The site answered; it is the login that is broken
+          this.markAuthExpected(result);
+          violations.push({
+            type: 'credentials-rejected',
+            message: outcome === 'login-redirect'
+              ? `Sent back to login with ${auth.credentials.type} credentials (${result.finalUrl || result.headers.location})`
+              : `Rejected ${auth.credentials.type} credentials (HTTP ${result.statusCode})`
+          });
+        }
+      }
+    }
+
+    result.authCheck = authCheck;
+    return result;
+  }
+
+  /**
+   * Classify how a protected page answered
+   * @param {object} result - Uptime check result
+   * @param {Array<number>} expectStatus - Status codes that mean "auth required"
+   * @param {RegExp} loginPattern - Matches the login URL
+   * @returns {string} 'auth-required' | 'login-redirect' | 'allowed' | 'unexpected' | 'error'
+   */
+  classifyAuthResponse(result, expectStatus, loginPattern) {
+    if (!result.statusCode) return 'error';
+
+    // With redirects off the login redirect is the response itself
+    const redirectedTo = result.redirectChain && result.redirectChain.length > 0
+      ? result.finalUrl
+      : (result.statusCode >= 300 && result.statusCode < 400 ? result.headers.location : null);
+
+    if (redirectedTo && loginPattern.test(redirectedTo)) return 'login-redirect';
+    if (expectStatus.includes(result.statusCode)) return 'auth-required';
+    if (result.statusCode >= 200 && result.statusCode < 300) return 'allowed';
+    return 'unexpected';
+  }
+
+  /**
+   * Treat an "auth required" answer as the page being up
+   * @param {object} result - Uptime check result
+   */
+  markAuthExpected(result) {
+    result.isUp = true;
+    result.error = undefined;
+    result.confirmedDown = false;
+    result.status = this.classify(true, result.responseTime, result.slowPhases || []);
+  }
+
+  /**
+   * Enforce a site's redirect policy
+   * @param {object} site - Site configuration with redirectPolicy: { enforceHttps, canonicalHost: 'www'|'apex', finalUrlPattern }
+   * @param {object} mainResult - Result of the main URL check
+   * @returns {Promise<object>} { checks, violations }
+   */
+  async checkRedirectPolicy(site, mainResult) {
+    const policy = site.redirectPolicy;
+    const checks = [];
+    const violations = [];
+    const siteUrl = new URL(site.url);
+    const record = (name, result) => {
+      checks.push({
+        name,
+        url: result.url,
+        finalUrl: result.finalUrl,
+        statusCode: result.statusCode,
+        redirectChain: result.redirectChain || [],
+        error: result.error
+      });
+      if (result.redirectError) {
+        violations.push({ type: result.redirectError, url: result.url, message: result.error });
+        return false;
+      }
+      return true;
+    };
+    const violate = (type, url, message) => violations.push({ type, url, message });
+
+    if (policy.enforceHttps) {
+      const httpUrl = new URL(site.url);
+      httpUrl.protocol = 'http:';
+      httpUrl.port = '';
+      console.log(`  ↪️ Checking http → https: ${httpUrl}`);
+      const result = await this.checkSite(httpUrl.toString());
+      if (record('enforceHttps', result)) {
+        const finalProtocol = result.finalUrl ? new URL(result.finalUrl).protocol : null;
+        if (result.redirectChain.length === 0 || finalProtocol !== 'https:') {
+          violate('https-not-enforced', result.url,
+            result.redirectChain.length === 0
+              ? `HTTP answered ${result.statusCode || result.error} without redirecting to HTTPS`
+              : `HTTP redirects to ${result.finalUrl}, not HTTPS`);
+        }
+      }
+    }
+
+    if (policy.canonicalHost) {
+      const host = siteUrl.hostname.toLowerCase();
+      const variant = getWwwVariant(host);
+      if (!variant) {
+        violate('non-canonical-host', site.url, `${host} has no www/apex counterpart to enforce`);
+      } else {
+        const wantWww = policy.canonicalHost === 'www';
+        const canonical = [host, variant].find(h => h.startsWith('www.') === wantWww);
+        const other = canonical === host ? variant : host;
+
+        const otherUrl = new URL(site.url);
+        otherUrl.hostname = other;
+        console.log(`  ↪️ Checking ${other} → ${canonical}`);
+        const result = await this.checkSite(otherUrl.toString());
+        if (record('canonicalHost', result) && (!result.finalUrl || new URL(result.finalUrl).hostname !== canonical)) {
+          violate('non-canonical-host', result.url,
+            `${other} ends on ${result.finalUrl || result.error}, expected ${canonical}`);
+        }
+
+        if (mainResult.finalUrl && new URL(mainResult.finalUrl).hostname !== canonical) {
+          violate('non-canonical-host', mainResult.url,
+            `${site.url} ends on ${mainResult.finalUrl}, expected ${canonical}`);
+        }
+      }
+    }
+
+    if (policy.finalUrlPattern && mainResult.finalUrl) {
+      if (!this.toRegExp(policy.finalUrlPattern).test(mainResult.finalUrl)) {
+        violate('unexpected-final-url', mainResult.url,
+          `${site.url} ends on ${mainResult.finalUrl}, expected ${policy.finalUrlPattern}`);
+      }
+    }
+
+    return { checks, violations };
+  }
+
   /**
    * Check multiple pages for a site
    * @param {object} site - Site configuration object
@@ -131,21 +717,33 @@ class UptimeMonitor {
       timestamp: new Date().toISOString()
     };
 
-    // Check main URL
-    const mainResult = await this.checkSite(site.url);
-    mainResult.pageName = 'Main';
-    results.pages.push(mainResult);
-
-    // Check additional pages if configured
-    if (site.pages && site.pages.length > 0) {
-      for (const page of site.pages) {
-        const pageUrl = new URL(page.path, site.url).toString();
-        console.log(`  📄 Checking page: ${page.name} (${page.path})`);
-        const pageResult = await this.checkSite(pageUrl);
-        pageResult.pageName = page.name;
-        pageResult.pagePath = page.path;
-        results.pages.push(pageResult);
-      }
+    // Main URL first, then any additional configured pages
+    const pages = [{ name: 'Main', url: site.url, assertions: site.assertions }]
+      .concat((site.pages || []).map(page => ({
+        name: page.name,
+        path: page.path,
+        url: new URL(page.path, site.url).toString(),
+        assertions: page.assertions,
+        auth: page.auth
+      })));
+
+    results.pages = await this.scheduler.map(pages, page => Scheduler.hostOf(page.url), async (page) => {
+      if (page.path !== undefined) console.log(`  📄 Checking page: ${page.name} (${page.path})`);
+      const pageResult = page.auth
+        ? await this.checkProtectedPage(page)
+        : await this.checkSiteConfirmed(page.url, page.assertions);
+      pageResult.pageName = page.name;
+      if (page.path !== undefined) pageResult.pagePath = page.path;
+      return pageResult;
+    }, page => ({ ...this.skippedResult(page.url), pageName: page.name, pagePath: page.path }));
+
+    if (site.redirectPolicy) {
+      const mainResult = results.pages[0];
+      results.redirectPolicy = await this.scheduler.schedule(
+        Scheduler.hostOf(site.url),
+        () => this.checkRedirectPolicy(site, mainResult),
+        () => ({ checks: [], violations: [], skipped: true })
+      );
     }
 
     // Determine overall status
@@ -158,6 +756,11 @@ class UptimeMonitor {
       results.overallStatus = 'warning';
     }
 
+    results.recoveredPages = results.pages.filter(p => p.recoveredAfterRetry).length;
+    results.redirectViolations = results.redirectPolicy ? results.redirectPolicy.violations.length : 0;
+    results.authViolations = results.pages
+      .reduce((total, p) => total + (p.authCheck ? p.authCheck.violations.length : 0), 0);
+
     // Calculate average response time
     const validTimes = results.pages.filter(p => p.responseTime).map(p => p.responseTime);
     results.avgResponseTime = validTimes.length > 0 
@@ -173,15 +776,11 @@ class UptimeMonitor {
    * @returns {Promise<Array<object>>} Array of uptime check results
    */
   async checkMultipleSites(sites) {
-    const results = [];
-    
-    for (const site of sites) {
+    // Pages are the scheduled unit, so sites themselves all start at once
+    return Promise.all(sites.map(site => {
       console.log(`⬆️ Checking uptime: ${site.name}`);
-      const result = await this.checkSitePages(site);
-      results.push(result);
-    }
-    
-    return results;
+      return this.checkSitePages(site);
+    }));
   }
 
   /**
@@ -195,11 +794,14 @@ class UptimeMonitor {
       up: results.filter(r => r.overallStatus === 'ok' || r.overallStatus === 'warning').length,
       down: results.filter(r => r.overallStatus === 'down' || r.overallStatus === 'error').length,
       slow: results.filter(r => r.overallStatus === 'warning' || r.overallStatus === 'critical').length,
+      recovered: results.filter(r => r.recoveredPages > 0).length,
+      redirectViolations: results.filter(r => r.redirectViolations > 0).length,
+      authViolations: results.filter(r => r.authViolations > 0).length,
       details: results,
       timestamp: new Date().toISOString()
     };
 
-    summary.allHealthy = summary.down === 0;
+    summary.allHealthy = summary.down === 0 && summary.redirectViolations === 0 && summary.authViolations === 0;
     summary.uptimePercentage = Math.round((summary.up / summary.total) * 100);
     
     return summary;
@@ -237,10 +839,23 @@ class UptimeMonitor {
     
     if (result.overallStatus === 'down' || result.overallStatus === 'error') {
       const failedPages = result.pages.filter(p => !p.isUp);
-      message += `DOWN (${failedPages.length} page(s) failed)`;
+      const attempts = Math.max(...failedPages.map(p => (p.attempts || []).length), 1);
+      message += `DOWN (${failedPages.length} page(s) failed, confirmed after ${attempts} attempt(s))`;
     } else {
       message += `UP | Avg: ${this.formatResponseTime(result.avgResponseTime)}`;
     }
+
+    if (result.recoveredPages > 0) {
+      message += ` | 🔁 ${result.recoveredPages} page(s) recovered after retry`;
+    }
+
+    if (result.redirectViolations > 0) {
+      message += ` | 🚫 ${result.redirectViolations} redirect policy violation(s)`;
+    }
+
+    if (result.authViolations > 0) {
+      message += ` | 🔒 ${result.authViolations} protected page violation(s)`;
+    }
     
     return message;
   }
@@ -262,9 +877,30 @@ if (require.main === module) {
     const configPath = path.join(__dirname, '..', 'config', 'sites.json');
     const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
     
+    const confirmation = config.settings.uptimeConfirmation || {};
+    const redirects = config.settings.redirects || {};
+    const sampling = config.settings.sampling || {};
     const monitor = new UptimeMonitor({
+      timeout: config.settings.thresholds.requestTimeout,
+      scheduler: Scheduler.fromConfig(config),
       warningThreshold: config.settings.thresholds.responseTimeWarning,
-      criticalThreshold: config.settings.thresholds.responseTimeCritical
+      criticalThreshold: config.settings.thresholds.responseTimeCritical,
+      phaseThresholds: {
+        dns: config.settings.thresholds.dnsWarning,
+        connect: config.settings.thresholds.connectWarning,
+        tls: config.settings.thresholds.tlsWarning,
+        ttfb: config.settings.thresholds.ttfbWarning,
+        download: config.settings.thresholds.downloadWarning
+      },
+      retries: confirmation.retries,
+      retryBackoff: confirmation.backoffMs,
+      backoffFactor: confirmation.backoffFactor,
+      freshConnectionOnRetry: confirmation.freshConnection,
+      samples: sampling.samples,
+      samplingMode: sampling.mode,
+      statistic: sampling.statistic,
+      followRedirects: redirects.follow,
+      maxRedirects: redirects.maxRedirects
     });
     
     // Filter sites that have uptime check enabled
@@ -284,6 +920,7 @@ if (require.main === module) {
         result.pages.forEach(page => {
           const pageIcon = page.isUp ? '  ✓' : '  ✗';
           console.log(`${pageIcon} ${page.pageName}: ${page.isUp ? page.statusCode : page.error}`);
+          if (page.timings) console.log(`      ⏱️ ${monitor.formatTimings(page.timings)}`);
         });
       }
     });
@@ -294,6 +931,9 @@ if (require.main === module) {
     console.log(`Sites up: ${summary.up}`);
     console.log(`Sites down: ${summary.down}`);
     console.log(`Slow sites: ${summary.slow}`);
+    console.log(`Recovered after retry: ${summary.recovered}`);
+    console.log(`Redirect policy violations: ${summary.redirectViolations}`);
+    console.log(`Protected page violations: ${summary.authViolations}`);
     console.log(`Uptime: ${summary.uptimePercentage}%`);
     console.log(`\nAll healthy: ${summary.allHealthy ? '✅ Yes' : '❌ No'}`);
     